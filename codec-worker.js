@@ -0,0 +1,54 @@
+/*
+ * SharePaste - Link codec worker (module worker)
+ *
+ *   main   -> worker { id, op: 'encode', files, meta, level, encryption, diff }
+ *   main   -> worker { id, op: 'decode', data }
+ *   worker -> main   { id, result } | { id, stale: true } | { id, error, payloadError }
+ *
+ * Compression happens here so typing never waits on zstd. Encodes queued behind a newer one
+ * are answered as stale without being run; the main thread terminates the worker to cancel
+ * one already running. The last encode is kept, so asking again for the same input at an
+ * equal or lower level (the share menu after an idle recompression) answers at once.
+ */
+import { init } from './zstd.js';
+import { PayloadError } from './payload.js';
+import { encodeLink, decodeLink } from './linkcodec.js';
+
+const ready = init('./zstd.wasm');
+
+let latest = 0;
+let last = null; // { request, result } of the most recent encode
+
+const tick = () => new Promise((resolve) => setTimeout(resolve));
+
+function sameInput(a, b) {
+    return a.diff === b.diff && a.files.length === b.files.length &&
+        a.files.every((f, i) => f.name === b.files[i].name && f.language === b.files[i].language && f.text === b.files[i].text) &&
+        JSON.stringify([a.meta, a.encryption.mode, a.encryption.rawKey, a.encryption.salt]) ===
+        JSON.stringify([b.meta, b.encryption.mode, b.encryption.rawKey, b.encryption.salt]);
+}
+
+async function encode(request) {
+    if (last && last.result.level >= request.level && sameInput(last.request, request)) return last.result;
+    const started = performance.now();
+    const result = await encodeLink(request);
+    result.time = performance.now() - started;
+    last = { request, result };
+    return result;
+}
+
+self.addEventListener('message', async ({ data }) => {
+    const { id, op } = data;
+    if (op === 'encode') {
+        latest = id;
+        await tick();
+        if (id !== latest) { self.postMessage({ id, stale: true }); return; }
+    }
+    try {
+        await ready;
+        const result = op === 'encode' ? await encode(data) : decodeLink(data.data);
+        self.postMessage({ id, result });
+    } catch (e) {
+        self.postMessage({ id, error: e.message, payloadError: e instanceof PayloadError });
+    }
+});
@@ -0,0 +1,43 @@
+/*
+ * SharePaste - Compression
+ * Picks whichever of plain zstd or a bundled dictionary gives the smallest frame.
+ */
+import { compress, decompress, compressUsingDict, decompressUsingDict, createCCtx, createDCtx } from './zstd.js';
+import { DICTIONARIES } from './dictionaries.js';
+import { PayloadError } from './payload.js';
+
+export const NO_DICTIONARY = 0;
+
+// Past this size the dictionary prefix barely matters and the extra passes just cost time
+const DICTIONARY_MAX_INPUT = 256 * 1024;
+
+let cctx = null;
+let dctx = null;
+const dictBytes = new Map();
+
+function getDictBytes(dict) {
+    if (!dictBytes.has(dict.id)) dictBytes.set(dict.id, new TextEncoder().encode(dict.content));
+    return dictBytes.get(dict.id);
+}
+
+// Must be called after zstd's init() has resolved
+export function compressBytes(buffer, level = 4) {
+    let best = { body: compress(buffer, level), dictId: NO_DICTIONARY };
+    if (buffer.length > DICTIONARY_MAX_INPUT) return best;
+
+    if (!cctx) cctx = createCCtx();
+    for (const dict of DICTIONARIES) {
+        const body = compressUsingDict(cctx, buffer, getDictBytes(dict), level);
+        if (body.length < best.body.length) best = { body, dictId: dict.id };
+    }
+    return best;
+}
+
+export function decompressBytes(body, dictId = NO_DICTIONARY) {
+    if (dictId === NO_DICTIONARY) return decompress(body);
+
+    const dict = DICTIONARIES.find((d) => d.id === dictId);
+    if (!dict) throw new PayloadError('This link uses a compression dictionary this version of SharePaste does not have. Reload the page to update.');
+    if (!dctx) dctx = createDCtx();
+    return decompressUsingDict(dctx, body, getDictBytes(dict));
+}
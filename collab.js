@@ -0,0 +1,336 @@
+/*
+ * SharePaste - Live collaborative editing
+ *
+ * Operational transformation with the host as the single authority: every guest edit carries
+ * the revision it was made against, the host transforms it past anything newer, applies it and
+ * broadcasts the result. Guests keep at most one edit in flight (plus a buffer), which is the
+ * classic client/server OT state machine and guarantees everyone converges on the host's text.
+ *
+ *   guest -> host  { type: 'join', version, name }      (repeated until welcomed)
+ *   host  -> guest { type: 'welcome', id, rev, text, file, cursors }
+ *   guest -> host  { type: 'op', rev, op }           host -> author { type: 'ack' }
+ *   host  -> guest { type: 'op', op, author }
+ *   any   -> host  { type: 'cursor', start, end }    host -> guests { type: 'cursors', cursors }
+ *   host  -> guest { type: 'participants', participants }
+ *   host  -> guest { type: 'end' } / { type: 'error', reason }
+ *
+ * Operations are arrays of components: a positive number retains, a negative number deletes,
+ * a string inserts.
+ */
+
+export const LIVE_PROTOCOL_VERSION = 1;
+
+const COLORS = ['#22c55e', '#3b82f6', '#f59e0b', '#ec4899', '#a855f7', '#14b8a6', '#ef4444', '#eab308'];
+const MAX_GUESTS = 16;
+
+/* --- TEXT OPERATIONS --- */
+
+const isRetain = (c) => typeof c === 'number' && c > 0;
+const isDelete = (c) => typeof c === 'number' && c < 0;
+const isInsert = (c) => typeof c === 'string';
+
+function pushRetain(ops, n) {
+    if (n <= 0) return;
+    if (isRetain(ops[ops.length - 1])) ops[ops.length - 1] += n;
+    else ops.push(n);
+}
+
+function pushInsert(ops, str) {
+    if (!str) return;
+    const last = ops[ops.length - 1];
+    if (isInsert(last)) { ops[ops.length - 1] += str; return; }
+    // Keep inserts ahead of an adjacent delete so equal edits always normalize to the same array
+    if (isDelete(last)) {
+        if (isInsert(ops[ops.length - 2])) ops[ops.length - 2] += str;
+        else ops.splice(ops.length - 1, 0, str);
+        return;
+    }
+    ops.push(str);
+}
+
+function pushDelete(ops, n) {
+    if (n <= 0) return;
+    if (isDelete(ops[ops.length - 1])) ops[ops.length - 1] -= n;
+    else ops.push(-n);
+}
+
+export function baseLength(ops) {
+    return ops.reduce((sum, c) => sum + (isInsert(c) ? 0 : Math.abs(c)), 0);
+}
+
+export function isValidOp(ops) {
+    return Array.isArray(ops) && ops.every((c) => isInsert(c) || (Number.isInteger(c) && c !== 0));
+}
+
+export function isNoop(ops) {
+    return ops.every(isRetain);
+}
+
+// Smallest single edit turning oldText into newText (textarea input is always one contiguous change)
+export function diffOp(oldText, newText) {
+    let prefix = 0;
+    const max = Math.min(oldText.length, newText.length);
+    while (prefix < max && oldText.charCodeAt(prefix) === newText.charCodeAt(prefix)) prefix++;
+    let suffix = 0;
+    while (suffix < max - prefix && oldText.charCodeAt(oldText.length - 1 - suffix) === newText.charCodeAt(newText.length - 1 - suffix)) suffix++;
+
+    const ops = [];
+    pushRetain(ops, prefix);
+    pushInsert(ops, newText.slice(prefix, newText.length - suffix));
+    pushDelete(ops, oldText.length - prefix - suffix);
+    pushRetain(ops, suffix);
+    return ops;
+}
+
+export function applyOp(ops, text) {
+    if (baseLength(ops) !== text.length) throw new Error('Operation does not match document length');
+    let out = '', pos = 0;
+    for (const c of ops) {
+        if (isRetain(c)) { out += text.slice(pos, pos + c); pos += c; }
+        else if (isInsert(c)) out += c;
+        else pos -= c;
+    }
+    return out;
+}
+
+// transform(a, b) -> [a', b'] with apply(b', apply(a, s)) === apply(a', apply(b, s)); a's inserts win ties
+export function transformOps(a, b) {
+    const a1 = [], b1 = [];
+    let i = 0, j = 0, opA = a[0], opB = b[0];
+
+    while (opA !== undefined || opB !== undefined) {
+        if (isInsert(opA)) { pushInsert(a1, opA); pushRetain(b1, opA.length); opA = a[++i]; continue; }
+        if (isInsert(opB)) { pushRetain(a1, opB.length); pushInsert(b1, opB); opB = b[++j]; continue; }
+        if (opA === undefined || opB === undefined) throw new Error('Operations have different base lengths');
+
+        const lenA = Math.abs(opA), lenB = Math.abs(opB);
+        const min = Math.min(lenA, lenB);
+        if (isRetain(opA) && isRetain(opB)) { pushRetain(a1, min); pushRetain(b1, min); }
+        else if (isDelete(opA) && isRetain(opB)) pushDelete(a1, min);
+        else if (isRetain(opA) && isDelete(opB)) pushDelete(b1, min);
+        // Both deleted the same span: nothing left for either side to do
+
+        opA = lenA > min ? Math.sign(opA) * (lenA - min) : a[++i];
+        opB = lenB > min ? Math.sign(opB) * (lenB - min) : b[++j];
+    }
+    return [a1, b1];
+}
+
+// compose(a, b) -> one operation equivalent to applying a then b
+export function composeOps(a, b) {
+    const out = [];
+    let i = 0, j = 0, opA = a[0], opB = b[0];
+
+    while (opA !== undefined || opB !== undefined) {
+        if (isDelete(opA)) { pushDelete(out, -opA); opA = a[++i]; continue; }
+        if (isInsert(opB)) { pushInsert(out, opB); opB = b[++j]; continue; }
+        if (opA === undefined || opB === undefined) throw new Error('Operations cannot be composed');
+
+        if (isRetain(opA) && isRetain(opB)) {
+            const min = Math.min(opA, opB);
+            pushRetain(out, min);
+            opA = opA > min ? opA - min : a[++i];
+            opB = opB > min ? opB - min : b[++j];
+        } else if (isInsert(opA) && isDelete(opB)) {
+            const min = Math.min(opA.length, -opB);
+            opA = opA.length > min ? opA.slice(min) : a[++i];
+            opB = -opB > min ? opB + min : b[++j];
+        } else if (isInsert(opA) && isRetain(opB)) {
+            const min = Math.min(opA.length, opB);
+            pushInsert(out, opA.slice(0, min));
+            opA = opA.length > min ? opA.slice(min) : a[++i];
+            opB = opB > min ? opB - min : b[++j];
+        } else { // retain then delete
+            const min = Math.min(opA, -opB);
+            pushDelete(out, min);
+            opA = opA > min ? opA - min : a[++i];
+            opB = -opB > min ? opB + min : b[++j];
+        }
+    }
+    return out;
+}
+
+// Where a caret at `index` ends up after the operation
+export function transformIndex(ops, index) {
+    let pos = 0, result = index;
+    for (const c of ops) {
+        if (pos > index) break;
+        if (isRetain(c)) pos += c;
+        else if (isInsert(c)) result += c.length;
+        else { result -= Math.min(-c, index - pos); pos -= c; }
+    }
+    return result;
+}
+
+function transformCursor(cursor, ops) {
+    return { ...cursor, start: transformIndex(ops, cursor.start), end: transformIndex(ops, cursor.end) };
+}
+
+/* --- HOST --- */
+
+// The host's editor *is* the authoritative document
+export function createHostSession({ text, file = '', name = 'Host', onRemoteOp, onCursors, onParticipants }) {
+    let doc = text;
+    const history = [];
+    const guests = new Map();  // id -> { channel, participant }
+    let cursors = [];
+    let nextGuest = 1;
+    const host = { id: 'host', name, color: COLORS[0] };
+
+    const participants = () => [host, ...Array.from(guests.values(), (g) => g.participant)];
+    const broadcast = (message, exceptId) => guests.forEach((g, id) => { if (id !== exceptId) g.channel.send(message); });
+    const publishParticipants = () => {
+        const list = participants();
+        broadcast({ type: 'participants', participants: list });
+        onParticipants(list);
+    };
+    const publishCursors = () => {
+        broadcast({ type: 'cursors', cursors });
+        onCursors(cursors.filter((c) => c.id !== host.id));
+    };
+    const moveCursors = (ops) => { cursors = cursors.map((c) => transformCursor(c, ops)); };
+
+    function addGuest(channel) {
+        let id = null;
+        channel.onMessage((msg) => {
+            if (!msg || typeof msg !== 'object') return;
+            if (msg.type === 'join' && id === null) {
+                if (msg.version !== LIVE_PROTOCOL_VERSION) { channel.send({ type: 'error', reason: 'The host runs a different SharePaste version' }); return; }
+                if (guests.size >= MAX_GUESTS) { channel.send({ type: 'error', reason: 'This live session is full' }); return; }
+                id = `guest-${nextGuest++}`;
+                const guestName = typeof msg.name === 'string' && msg.name.trim() ? msg.name.trim().slice(0, 32) : `Guest ${nextGuest - 1}`;
+                guests.set(id, { channel, participant: { id, name: guestName, color: COLORS[(nextGuest - 1) % COLORS.length] } });
+                channel.send({ type: 'welcome', id, rev: history.length, text: doc, file, cursors });
+                publishParticipants();
+            } else if (msg.type === 'op' && id !== null) {
+                if (!isValidOp(msg.op) || !Number.isInteger(msg.rev) || msg.rev < 0 || msg.rev > history.length) return;
+                let op = msg.op;
+                try {
+                    for (const concurrent of history.slice(msg.rev)) op = transformOps(op, concurrent)[0];
+                    doc = applyOp(op, doc);
+                } catch (e) {
+                    channel.send({ type: 'error', reason: 'Out of sync with the host' });
+                    channel.close();
+                    return;
+                }
+                history.push(op);
+                moveCursors(op);
+                channel.send({ type: 'ack' });
+                broadcast({ type: 'op', op, author: id }, id);
+                onRemoteOp(op, id);
+            } else if (msg.type === 'cursor' && id !== null) {
+                if (!Number.isInteger(msg.start) || !Number.isInteger(msg.end)) return;
+                const clamp = (n) => Math.max(0, Math.min(doc.length, n));
+                cursors = cursors.filter((c) => c.id !== id).concat({ id, start: clamp(msg.start), end: clamp(msg.end) });
+                publishCursors();
+            }
+        });
+        channel.onClose(() => {
+            if (id === null || !guests.has(id)) return;
+            guests.delete(id);
+            cursors = cursors.filter((c) => c.id !== id);
+            publishParticipants();
+            publishCursors();
+        });
+    }
+
+    onParticipants(participants());
+
+    return {
+        addGuest,
+        participants,
+        // Local edits go straight into the document
+        applyLocal(ops) {
+            if (isNoop(ops)) return;
+            doc = applyOp(ops, doc);
+            history.push(ops);
+            moveCursors(ops);
+            broadcast({ type: 'op', op: ops, author: host.id });
+        },
+        setCursor(start, end) {
+            cursors = cursors.filter((c) => c.id !== host.id).concat({ id: host.id, start, end });
+            broadcast({ type: 'cursors', cursors });
+        },
+        close() {
+            broadcast({ type: 'end' });
+            // Give the goodbye a moment to go out before tearing the channels down
+            const channels = Array.from(guests.values(), (g) => g.channel);
+            guests.clear();
+            setTimeout(() => channels.forEach((c) => c.close()), 250);
+        }
+    };
+}
+
+/* --- GUEST --- */
+
+export function joinSession(channel, { name = '', onWelcome, onRemoteOp, onCursors, onParticipants, onEnd }) {
+    let rev = 0, id = null, ended = false, joinTimer = null;
+    let outstanding = null;  // Sent, waiting for the host's ack
+    let buffer = null;       // Local edits made while waiting
+    let cursors = [];
+
+    const end = (reason) => {
+        if (ended) return;
+        ended = true;
+        clearInterval(joinTimer);
+        onEnd(reason);
+    };
+
+    channel.onMessage((msg) => {
+        if (ended || !msg || typeof msg !== 'object') return;
+        if (msg.type === 'welcome') {
+            if (id !== null) return;
+            clearInterval(joinTimer);
+            id = msg.id; rev = msg.rev; cursors = msg.cursors || [];
+            onWelcome({ id, text: msg.text, file: msg.file || '' });
+            onCursors(cursors.filter((c) => c.id !== id));
+        } else if (msg.type === 'ack' && outstanding) {
+            rev++;
+            outstanding = buffer;
+            buffer = null;
+            if (outstanding) channel.send({ type: 'op', rev, op: outstanding });
+        } else if (msg.type === 'op' && isValidOp(msg.op)) {
+            rev++;
+            let op = msg.op;
+            if (outstanding) [outstanding, op] = transformOps(outstanding, op);
+            if (buffer) [buffer, op] = transformOps(buffer, op);
+            cursors = cursors.map((c) => transformCursor(c, op));
+            onRemoteOp(op, msg.author);
+            onCursors(cursors.filter((c) => c.id !== id));
+        } else if (msg.type === 'cursors' && Array.isArray(msg.cursors)) {
+            cursors = msg.cursors;
+            onCursors(cursors.filter((c) => c.id !== id));
+        } else if (msg.type === 'participants' && Array.isArray(msg.participants)) {
+            onParticipants(msg.participants, id);
+        } else if (msg.type === 'end') {
+            end('The host ended the live session');
+        } else if (msg.type === 'error') {
+            end(msg.reason || 'The host closed the connection');
+        }
+    });
+    channel.onClose(() => end('Lost connection to the host'));
+
+    // The host may attach its handler a moment after the channel opens
+    const join = () => channel.send({ type: 'join', version: LIVE_PROTOCOL_VERSION, name });
+    join();
+    joinTimer = setInterval(join, 1000);
+
+    return {
+        applyLocal(ops) {
+            if (ended || id === null || isNoop(ops)) return;
+            cursors = cursors.map((c) => transformCursor(c, ops));
+            if (buffer) buffer = composeOps(buffer, ops);
+            else if (outstanding) buffer = ops;
+            else { outstanding = ops; channel.send({ type: 'op', rev, op: ops }); }
+        },
+        setCursor(start, end) {
+            if (!ended && id !== null) channel.send({ type: 'cursor', start, end });
+        },
+        cursors: () => cursors.filter((c) => c.id !== id),
+        close() {
+            ended = true;
+            clearInterval(joinTimer);
+            channel.close();
+        }
+    };
+}
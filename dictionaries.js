@@ -0,0 +1,321 @@
+/*
+ * SharePaste - Zstd dictionaries
+ *
+ * Raw-content dictionaries: zstd treats any buffer without the dictionary magic as a plain
+ * prefix, so these are just representative snippets. The most frequent phrases sit at the
+ * end, where match offsets are cheapest.
+ *
+ * IDs are written into links. Never change or reuse the content behind an existing ID;
+ * add a new entry instead.
+ */
+
+const CODE = `#!/usr/bin/env bash
+set -euo pipefail
+#include <stdio.h>
+#include <stdlib.h>
+#include <string.h>
+#include <iostream>
+#include <vector>
+using namespace std;
+int main(int argc, char *argv[]) {
+    std::vector<int> v;
+    for (int i = 0; i < n; i++) {
+        printf("%d\\n", i);
+    }
+    std::cout << "Hello, World!" << std::endl;
+    return 0;
+}
+package main
+
+import (
+	"fmt"
+	"net/http"
+)
+
+func main() {
+	if err != nil {
+		return nil, err
+	}
+	fmt.Println("Hello, World!")
+}
+use std::collections::HashMap;
+fn main() {
+    let mut map = HashMap::new();
+    println!("{:?}", map);
+}
+impl Default for Config {
+    fn default() -> Self {
+        Self { ..Default::default() }
+    }
+}
+public class Main {
+    private static final Logger logger = LoggerFactory.getLogger(Main.class);
+
+    @Override
+    public String toString() {
+        return "Main{" + "id=" + id + '}';
+    }
+
+    public static void main(String[] args) {
+        System.out.println("Hello, World!");
+    }
+}
+namespace App.Services
+{
+    public async Task<IActionResult> Get(int id)
+    {
+        var result = await _context.Items.FirstOrDefaultAsync(x => x.Id == id);
+        return Ok(result);
+    }
+}
+<?php
+namespace App\\Http\\Controllers;
+public function index(Request $request)
+{
+    return view('welcome', ['items' => $items]);
+}
+SELECT id, name, created_at FROM users WHERE id = ? ORDER BY created_at DESC LIMIT 10;
+INSERT INTO users (name, email) VALUES ('name', 'email');
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <link rel="stylesheet" href="style.css">
+</head>
+<body>
+    <div class="container">
+        <button type="button" class="btn btn-primary" onclick="handleClick()">Submit</button>
+    </div>
+    <script src="script.js"></script>
+</body>
+</html>
+.container {
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    margin: 0 auto;
+    padding: 0;
+    width: 100%;
+    background-color: #ffffff;
+    border-radius: 4px;
+}
+@media (max-width: 768px) {
+    .container { flex-direction: column; }
+}
+import os
+import sys
+import json
+from typing import List, Dict, Optional
+
+class Solution:
+    def __init__(self, name: str) -> None:
+        self.name = name
+
+    def solve(self, nums: List[int]) -> int:
+        result = []
+        for i in range(len(nums)):
+            if nums[i] is None:
+                continue
+            result.append(nums[i])
+        return len(result)
+
+def main():
+    parser = argparse.ArgumentParser()
+    args = parser.parse_args()
+    with open(args.path, "r", encoding="utf-8") as f:
+        data = json.load(f)
+    print(f"Loaded {len(data)} items")
+
+if __name__ == "__main__":
+    main()
+interface Props {
+    id: number;
+    name: string;
+    children?: React.ReactNode;
+}
+
+export type State = {
+    loading: boolean;
+    error: string | null;
+};
+
+import React, { useState, useEffect } from 'react';
+
+export default function App({ items }: Props) {
+    const [state, setState] = useState(null);
+    useEffect(() => {
+        fetch(url).then((res) => res.json()).then((data) => setState(data));
+    }, []);
+    return (
+        <div className="app">
+            {items.map((item) => <Item key={item.id} {...item} />)}
+        </div>
+    );
+}
+
+const express = require('express');
+const app = express();
+app.get('/', (req, res) => {
+    res.json({ message: 'ok' });
+});
+module.exports = { app };
+
+async function fetchData(url) {
+    try {
+        const response = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(data) });
+        if (!response.ok) throw new Error(\`HTTP \${response.status}\`);
+        return await response.json();
+    } catch (error) {
+        console.error(error);
+        return null;
+    }
+}
+
+document.getElementById('app').addEventListener('click', (e) => {
+    e.preventDefault();
+});
+
+export function handler(event) {
+    const { id, name } = event;
+    if (!id) return;
+    for (let i = 0; i < items.length; i++) {
+        console.log(items[i]);
+    }
+    return { id, name };
+}
+
+export const config = {
+    name: 'default',
+    enabled: true,
+};
+`;
+
+const DATA = `FROM node:20-alpine
+WORKDIR /app
+COPY package*.json ./
+RUN npm ci --only=production
+COPY . .
+EXPOSE 3000
+CMD ["node", "index.js"]
+version: "3.8"
+services:
+  web:
+    image: nginx:latest
+    ports:
+      - "80:80"
+    environment:
+      - NODE_ENV=production
+    volumes:
+      - ./data:/data
+    depends_on:
+      - db
+    restart: unless-stopped
+apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: app
+  namespace: default
+  labels:
+    app: web
+spec:
+  replicas: 3
+  selector:
+    matchLabels:
+      app: web
+  template:
+    spec:
+      containers:
+        - name: app
+          image: app:latest
+          resources:
+            limits:
+              cpu: "500m"
+              memory: "512Mi"
+[server]
+host = "0.0.0.0"
+port = 8080
+enabled = true
+Traceback (most recent call last):
+  File "/usr/lib/python3/dist-packages/app/main.py", line 42, in <module>
+    main()
+KeyError: 'id'
+Exception in thread "main" java.lang.NullPointerException: Cannot invoke "String.length()" because "value" is null
+	at com.example.app.Main.main(Main.java:14)
+Error: Cannot find module 'express'
+    at Module._resolveFilename (node:internal/modules/cjs/loader:1145:15)
+    at Object.<anonymous> (/app/index.js:1:17)
+npm ERR! code ERESOLVE
+HTTP/1.1 200 OK
+Content-Type: application/json; charset=utf-8
+Content-Length: 1024
+Cache-Control: no-cache
+127.0.0.1 - - [01/Jan/2024:00:00:00 +0000] "GET /api/v1/users HTTP/1.1" 200 512 "-" "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
+127.0.0.1 - - [01/Jan/2024:00:00:01 +0000] "POST /api/v1/login HTTP/1.1" 401 64 "-" "curl/8.4.0"
+2024-01-01T00:00:00.000Z ERROR [main] Failed to connect to database: connection refused
+2024-01-01 00:00:00,000 WARN  [http-nio-8080-exec-1] o.s.web.servlet.PageNotFound : No mapping for GET /favicon.ico
+2024-01-01 00:00:00.000 DEBUG 12345 --- [           main] com.example.Application : Started Application in 2.345 seconds
+[2024-01-01 00:00:00] production.ERROR: Undefined variable $user {"exception":"[object] (ErrorException(code: 0)"}
+Jan 01 00:00:00 localhost systemd[1]: Started Session 1 of user root.
+Jan 01 00:00:00 localhost kernel: [    0.000000] Linux version 6.1.0-18-amd64
+$ git status
+On branch main
+Your branch is up to date with 'origin/main'.
+Changes not staged for commit:
+  (use "git add <file>..." to update what will be committed)
+	modified:   src/index.js
+$ docker ps
+CONTAINER ID   IMAGE          COMMAND                  CREATED        STATUS        PORTS                  NAMES
+$ kubectl get pods
+NAME                     READY   STATUS    RESTARTS   AGE
+app-7d9f8b6c5d-abcde     1/1     Running   0          5m
+{
+  "name": "my-app",
+  "version": "1.0.0",
+  "private": true,
+  "scripts": {
+    "start": "node index.js",
+    "build": "webpack --mode production",
+    "test": "jest"
+  },
+  "dependencies": {
+    "react": "^18.2.0"
+  },
+  "devDependencies": {
+    "typescript": "^5.0.0"
+  }
+}
+{
+  "compilerOptions": {
+    "target": "ES2020",
+    "module": "ESNext",
+    "strict": true,
+    "esModuleInterop": true,
+    "skipLibCheck": true,
+    "outDir": "./dist"
+  },
+  "include": ["src"]
+}
+{"level":"info","time":"2024-01-01T00:00:00.000Z","msg":"request completed","method":"GET","url":"/api/health","statusCode":200,"responseTime":1.23}
+{"level":"error","timestamp":"2024-01-01T00:00:00.000Z","message":"Internal Server Error","error":{"code":500,"stack":null}}
+{
+  "id": 1,
+  "name": "example",
+  "type": "user",
+  "email": "user@example.com",
+  "created_at": "2024-01-01T00:00:00Z",
+  "updated_at": "2024-01-01T00:00:00Z",
+  "status": "active",
+  "enabled": true,
+  "items": [],
+  "data": null,
+  "success": true,
+  "error": null,
+  "message": "OK"
+}
+`;
+
+export const DICTIONARIES = [
+    { id: 1, name: 'code', content: CODE },
+    { id: 2, name: 'data', content: DATA }
+];
@@ -0,0 +1,165 @@
+/*
+ * SharePaste - Line diffs
+ *
+ * diffLines() runs Myers' O(ND) algorithm on the lines between the common prefix and suffix.
+ * Past MAX_EDITS changed lines (or MAX_WORK comparisons) it gives up on that middle part and
+ * reports it as one replaced block, which is still correct, just less precise.
+ *
+ * Delta (the changed version as edits to the base, one op per line):
+ *   =N  keep the next N base lines     -N  drop the next N base lines
+ *   +N  followed by the N lines to insert
+ */
+import { PayloadError } from './payload.js';
+
+const MAX_EDITS = 2000;
+const MAX_WORK = 20000000;
+
+// [{ type: 'equal' | 'delete' | 'insert', count }], runs merged
+export function diffLines(before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length, endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+    const ops = [];
+    const push = (type, count) => {
+        if (!count) return;
+        const last = ops[ops.length - 1];
+        if (last && last.type === type) last.count += count;
+        else ops.push({ type, count });
+    };
+
+    push('equal', start);
+    const middle = myers(a.slice(start, endA), b.slice(start, endB));
+    if (middle) middle.forEach((type) => push(type, 1));
+    else { push('delete', endA - start); push('insert', endB - start); }
+    push('equal', a.length - endA);
+    return ops;
+}
+
+// One op per line, or null when the inputs are too far apart to be worth it
+function myers(a, b) {
+    const n = a.length, m = b.length;
+    if (!n || !m) return Array(n).fill('delete').concat(Array(m).fill('insert'));
+
+    // Compare numbers rather than strings
+    const ids = new Map();
+    const intern = (line) => { if (!ids.has(line)) ids.set(line, ids.size); return ids.get(line); };
+    const x1 = Int32Array.from(a, intern), y1 = Int32Array.from(b, intern);
+
+    const max = Math.min(n + m, MAX_EDITS);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = []; // trace[d]: v over diagonals -d-1..d+1 before step d
+    let work = 0;
+
+    for (let d = 0; d <= max; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+            let y = x - k;
+            const from = x;
+            while (x < n && y < m && x1[x] === y1[y]) { x++; y++; }
+            v[offset + k] = x;
+            work += x - from + 1;
+            if (work > MAX_WORK) return null;
+            if (x >= n && y >= m) return backtrack(trace, n, m);
+        }
+    }
+    return null;
+}
+
+function backtrack(trace, n, m) {
+    const path = [];
+    let x = n, y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const band = trace[d];
+        const at = (k) => band[k + d + 1];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+        const prevX = at(prevK), prevY = prevX - prevK;
+        while (x > prevX && y > prevY) { path.push('equal'); x--; y--; }
+        if (d > 0) path.push(x === prevX ? 'insert' : 'delete');
+        x = prevX; y = prevY;
+    }
+    return path.reverse();
+}
+
+/* --- DELTA --- */
+
+export function createDelta(before, after, ops = diffLines(before, after)) {
+    const b = after.split('\n');
+    const out = [];
+    let j = 0;
+    for (const { type, count } of ops) {
+        if (type === 'equal') { out.push(`=${count}`); j += count; }
+        else if (type === 'delete') out.push(`-${count}`);
+        else { out.push(`+${count}`); for (let n = 0; n < count; n++) out.push(b[j + n]); j += count; }
+    }
+    return out.join('\n');
+}
+
+export function applyDelta(before, delta) {
+    const a = before.split('\n');
+    const d = delta.split('\n');
+    const out = [];
+    let i = 0;
+    for (let p = 0; p < d.length;) {
+        const match = /^([=+-])(\d+)$/.exec(d[p++]);
+        if (!match) throw new PayloadError('Link data corrupted.');
+        const count = Number(match[2]);
+        if (match[1] === '+') {
+            if (p + count > d.length) throw new PayloadError('Link data truncated.');
+            for (let n = 0; n < count; n++) out.push(d[p + n]);
+            p += count;
+        } else {
+            if (i + count > a.length) throw new PayloadError('Link data corrupted.');
+            if (match[1] === '=') for (let n = 0; n < count; n++) out.push(a[i + n]);
+            i += count;
+        }
+    }
+    if (i !== a.length) throw new PayloadError('Link data corrupted.');
+    return out.join('\n');
+}
+
+/* --- LAYOUT --- */
+
+// Rows to draw: { type, left, right } with line indices (-1 for none), or { type: 'fold', count }.
+// Unified rows have one side each; split rows pair deleted with inserted lines. Unchanged runs
+// longer than twice `context` are folded, unless nothing changed at all.
+export function diffRows(ops, { split = false, context = 3 } = {}) {
+    const rows = [];
+    const changed = ops.some((op) => op.type !== 'equal');
+    let i = 0, j = 0;
+
+    for (let o = 0; o < ops.length; o++) {
+        const { type, count } = ops[o];
+        if (type === 'equal') {
+            const head = o === 0 ? 0 : context;                 // Context after the previous change
+            const tail = o === ops.length - 1 ? 0 : context;    // Context before the next one
+            if (changed && count > head + tail + 1) {
+                for (let n = 0; n < head; n++) rows.push({ type, left: i + n, right: j + n });
+                rows.push({ type: 'fold', count: count - head - tail });
+                for (let n = count - tail; n < count; n++) rows.push({ type, left: i + n, right: j + n });
+            } else {
+                for (let n = 0; n < count; n++) rows.push({ type, left: i + n, right: j + n });
+            }
+            i += count; j += count;
+        } else if (split && type === 'delete' && ops[o + 1] && ops[o + 1].type === 'insert') {
+            const inserted = ops[++o].count;
+            for (let n = 0; n < Math.max(count, inserted); n++) {
+                rows.push({ type: 'change', left: n < count ? i + n : -1, right: n < inserted ? j + n : -1 });
+            }
+            i += count; j += inserted;
+        } else if (type === 'delete') {
+            for (let n = 0; n < count; n++) rows.push({ type, left: i + n, right: -1 });
+            i += count;
+        } else {
+            for (let n = 0; n < count; n++) rows.push({ type, left: -1, right: j + n });
+            j += count;
+        }
+    }
+    return rows;
+}
@@ -0,0 +1,66 @@
+/*
+ * SharePaste - Client-side encryption (AES-GCM via WebCrypto)
+ *
+ * Encrypted blob layout:
+ *   [mode:1] [salt:16, passphrase mode only] [iv:12] [ciphertext + GCM tag]
+ */
+
+export const MODE_KEY = 1;         // Random key travels in the link fragment
+export const MODE_PASSPHRASE = 2;  // Key derived from a passphrase with PBKDF2
+
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+export function generateKey() {
+    return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+}
+
+export async function exportKey(key) {
+    return new Uint8Array(await crypto.subtle.exportKey('raw', key));
+}
+
+export function importKey(raw) {
+    return crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+export function createSalt() {
+    return crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+}
+
+export async function deriveKey(passphrase, salt) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+export async function encrypt(bytes, { mode, key, salt }) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes));
+    const header = mode === MODE_PASSPHRASE ? [mode, ...salt] : [mode];
+
+    const blob = new Uint8Array(header.length + IV_BYTES + ciphertext.length);
+    blob.set(header, 0);
+    blob.set(iv, header.length);
+    blob.set(ciphertext, header.length + IV_BYTES);
+    return blob;
+}
+
+// Reads the mode (and salt) so the caller knows which key to ask for before decrypting
+export function readHeader(blob) {
+    const mode = blob[0];
+    if (mode === MODE_KEY) return { mode, offset: 1 };
+    if (mode === MODE_PASSPHRASE && blob.length > 1 + SALT_BYTES) return { mode, salt: blob.slice(1, 1 + SALT_BYTES), offset: 1 + SALT_BYTES };
+    throw new Error('Unknown encryption mode');
+}
+
+export async function decrypt(blob, key) {
+    const { offset } = readHeader(blob);
+    const iv = blob.subarray(offset, offset + IV_BYTES);
+    return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, blob.subarray(offset + IV_BYTES)));
+}
@@ -0,0 +1,210 @@
+/*
+ * SharePaste - Export formats
+ *
+ * Rich exports start from the worker's highlighted HTML (one string per line). resolveStyles()
+ * lays it out off screen under the current Prism theme and reads the colours back, turning each
+ * line into runs of { text, style }. The HTML page, SVG and PNG are all drawn from those runs,
+ * so an export looks like the editor whichever theme is showing.
+ */
+
+const RESOLVE_BATCH = 2000;     // Lines laid out off screen at a time
+const TAB_WIDTH = 4;
+const IMAGE_PADDING = 32;
+const IMAGE_RADIUS = 12;
+const IMAGE_SCALE = 2;          // PNG pixels per CSS pixel, so code stays crisp on slides
+const MAX_CANVAS = 16384;       // Browsers refuse to draw on larger canvases
+
+// Prism ids that Markdown renderers know by another name
+const FENCE_NAMES = { markup: 'html', plaintext: 'text', docker: 'dockerfile' };
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+const escapeXml = (text) => text.replace(/[&<>"]/g, (c) => ESCAPES[c]);
+
+// -> { lines: [[{ text, style }]], color }. Runs that look alike share one style object
+// ({ color, bold, italic }); color is the theme's plain text colour.
+export function resolveStyles(htmlLines, language) {
+    const pre = document.createElement('pre');
+    const code = document.createElement('code');
+    pre.className = code.className = `language-${language}`;
+    pre.style.cssText = 'position: fixed; left: -10000px; top: 0; visibility: hidden;';
+    pre.appendChild(code);
+    document.body.appendChild(pre);
+
+    const byChain = new Map();  // Class names from the token up to <code> -> style
+    const byLook = new Map();
+    const styleOf = (element) => {
+        let chain = '';
+        for (let el = element; el !== code; el = el.parentElement) chain = `${el.className}>${chain}`;
+        if (!byChain.has(chain)) {
+            const computed = window.getComputedStyle(element);
+            const style = {
+                color: computed.color,
+                bold: computed.fontWeight === 'bold' || parseInt(computed.fontWeight, 10) >= 600,
+                italic: computed.fontStyle === 'italic'
+            };
+            const look = `${style.color}|${style.bold}|${style.italic}`;
+            if (!byLook.has(look)) byLook.set(look, style);
+            byChain.set(chain, byLook.get(look));
+        }
+        return byChain.get(chain);
+    };
+
+    const lines = [];
+    try {
+        for (let start = 0; start < htmlLines.length; start += RESOLVE_BATCH) {
+            code.innerHTML = htmlLines.slice(start, start + RESOLVE_BATCH).join('\n');
+            let line = [];
+            const walker = document.createTreeWalker(code, NodeFilter.SHOW_TEXT);
+            for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+                const style = styleOf(node.parentElement);
+                node.data.split('\n').forEach((text, i) => {
+                    if (i > 0) { lines.push(line); line = []; }
+                    const last = line[line.length - 1];
+                    if (!text) return;
+                    if (last && last.style === style) last.text += text;
+                    else line.push({ text, style });
+                });
+            }
+            lines.push(line);
+        }
+        return { lines, color: styleOf(code).color };
+    } finally {
+        pre.remove();
+    }
+}
+
+const declarations = ({ color, bold, italic }) => `color: ${color};${bold ? ' font-weight: bold;' : ''}${italic ? ' font-style: italic;' : ''}`;
+
+// A page that needs nothing else: the theme is baked into a few classes
+export function toHtml({ lines, color }, { title, background, font }) {
+    const classes = new Map();
+    const body = lines.map((runs) => runs.map(({ text, style }) => {
+        if (style.color === color && !style.bold && !style.italic) return escapeXml(text);
+        if (!classes.has(style)) classes.set(style, `t${classes.size}`);
+        return `<span class="${classes.get(style)}">${escapeXml(text)}</span>`;
+    }).join('')).join('\n');
+    const rules = [...classes].map(([style, name]) => `.${name} { ${declarations(style)} }\n`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeXml(title || 'SharePaste')}</title>
+<style>
+body { margin: 0; background: ${background}; color: ${color}; }
+pre { margin: 0; padding: 24px; font: ${font.size}px/${font.lineHeight}px ${font.family}; tab-size: ${TAB_WIDTH}; white-space: pre; overflow: auto; }
+${rules}</style>
+</head>
+<body>
+<pre><code>${body}</code></pre>
+</body>
+</html>
+`;
+}
+
+/* --- CODE IMAGES --- */
+
+function expandTabs(lines) {
+    return lines.map((runs) => {
+        let column = 0;
+        return runs.map((run) => {
+            if (!run.text.includes('\t')) { column += run.text.length; return run; }
+            let text = '';
+            for (const char of run.text) {
+                const add = char === '\t' ? ' '.repeat(TAB_WIDTH - column % TAB_WIDTH) : char;
+                text += add;
+                column += add.length;
+            }
+            return { text, style: run.style };
+        });
+    });
+}
+
+// Runs placed at measured x offsets, so wide characters don't push later tokens out of line
+function layoutImage({ lines }, { font, title }) {
+    const context = document.createElement('canvas').getContext('2d');
+    const fontFor = (style) => `${style.italic ? 'italic ' : ''}${style.bold ? 'bold ' : ''}${font.size}px ${font.family}`;
+    let width = 0;
+    const rows = expandTabs(lines).map((runs) => {
+        let x = 0;
+        const placed = runs.map((run) => {
+            context.font = fontFor(run.style);
+            const at = x;
+            x += context.measureText(run.text).width;
+            return { ...run, x: at };
+        });
+        width = Math.max(width, x);
+        return placed;
+    });
+    if (title) {
+        context.font = fontFor({});
+        width = Math.max(width, context.measureText(title).width);
+    }
+    const top = IMAGE_PADDING + (title ? font.lineHeight * 1.5 : 0);
+    // Centres the text on its line the way the editor does, give or take the font's metrics
+    const baseline = (row) => +(top + row * font.lineHeight + (font.lineHeight + font.size * 0.7) / 2).toFixed(2);
+    return {
+        rows,
+        fontFor,
+        baseline,
+        titleBaseline: +(IMAGE_PADDING + (font.lineHeight + font.size * 0.7) / 2).toFixed(2),
+        width: Math.ceil(width) + IMAGE_PADDING * 2,
+        height: top + rows.length * font.lineHeight + IMAGE_PADDING
+    };
+}
+
+export function toSvg(resolved, { background, font, title = '' }) {
+    const { rows, baseline, titleBaseline, width, height } = layoutImage(resolved, { font, title });
+    const tspan = ({ text, style, x }) => `<tspan x="${+(IMAGE_PADDING + x).toFixed(2)}" fill="${style.color}"` +
+        `${style.bold ? ' font-weight="bold"' : ''}${style.italic ? ' font-style="italic"' : ''}>${escapeXml(text)}</tspan>`;
+    const text = rows.map((runs, i) => runs.length ? `<text y="${baseline(i)}">${runs.map(tspan).join('')}</text>\n` : '').join('');
+    const heading = title ? `<text x="${IMAGE_PADDING}" y="${titleBaseline}" fill="${resolved.color}" opacity="0.5">${escapeXml(title)}</text>\n` : '';
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" ` +
+        `font-family="${escapeXml(font.family)}" font-size="${font.size}" xml:space="preserve" style="white-space: pre">\n` +
+        `<rect width="${width}" height="${height}" rx="${IMAGE_RADIUS}" fill="${background}"/>\n${heading}${text}</svg>\n`;
+}
+
+// Resolves to a PNG blob, scaled down if a huge snippet would not fit on a canvas
+export function toPng(resolved, { background, font, title = '' }) {
+    const { rows, fontFor, baseline, titleBaseline, width, height } = layoutImage(resolved, { font, title });
+    const scale = Math.min(IMAGE_SCALE, MAX_CANVAS / width, MAX_CANVAS / height);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(width * scale);
+    canvas.height = Math.ceil(height * scale);
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+
+    context.fillStyle = background;
+    context.beginPath();
+    if (context.roundRect) context.roundRect(0, 0, width, height, IMAGE_RADIUS);
+    else context.rect(0, 0, width, height);
+    context.fill();
+
+    if (title) {
+        context.font = fontFor({});
+        context.fillStyle = resolved.color;
+        context.globalAlpha = 0.5;
+        context.fillText(title, IMAGE_PADDING, titleBaseline);
+        context.globalAlpha = 1;
+    }
+    rows.forEach((runs, i) => {
+        for (const { text, style, x } of runs) {
+            context.font = fontFor(style);
+            context.fillStyle = style.color;
+            context.fillText(text, IMAGE_PADDING + x, baseline(i));
+        }
+    });
+    return new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+}
+
+/* --- MARKDOWN --- */
+
+// The fence is one backtick longer than any run inside the code, so it can't be closed early
+export function toMarkdown(text, language) {
+    const longest = (text.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 2);
+    const fence = '`'.repeat(longest + 1);
+    const name = FENCE_NAMES[language] || language || '';
+    return `${fence}${name}\n${text}\n${fence}\n`;
+}
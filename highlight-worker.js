@@ -0,0 +1,138 @@
+/*
+ * SharePaste - Syntax highlighting worker
+ *
+ *   main   -> worker { id, text, language, focus, lane }
+ *   worker -> main   { id, lane, start, lines, done }     (HTML per source line, in batches)
+ *
+ * Prism tokenizes off the main thread and the token stream is cut at newlines, so the editor
+ * can lay out only the lines on screen. Large texts are tokenized in chunks, starting with the
+ * one around `focus` (the first visible line); a comment or string spanning a chunk boundary
+ * may highlight wrongly there, which is the price of not waiting for the whole file. A newer
+ * request abandons the one in progress at the next batch boundary, but only within its lane: exports
+ * run in their own, so typing on screen can't drop a file being exported.
+ */
+
+self.Prism = { disableWorkerMessageHandler: true };
+importScripts('vendor/prism/prism-core.min.js');
+
+const COMPONENTS = 'vendor/prism/components/';
+const BATCH_LINES = 5000;
+const WHOLE_LIMIT = 20000;       // Up to this many lines the text is tokenized in one go
+const CHUNK_LINES = 1000;
+const CHUNK_SLACK = 100;         // How far a chunk boundary may move to land on a blank line
+
+// Grammars a component needs loaded first (Prism's own components.json, trimmed to what we use)
+const REQUIRES = {
+    javascript: ['clike'], typescript: ['javascript'], jsx: ['markup', 'javascript'], tsx: ['jsx', 'typescript'],
+    c: ['clike'], cpp: ['c'], csharp: ['clike'], java: ['clike'], kotlin: ['clike'], go: ['clike'], ruby: ['clike'],
+    php: ['markup-templating'], 'markup-templating': ['markup'], scss: ['css'], markdown: ['markup']
+};
+
+// Loaded after the grammar: CSS and JS register themselves inside <style> and <script> when markup is present
+const EXTRAS = { markup: ['css', 'javascript'] };
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;' };
+const escapeHtml = (text) => text.replace(/[&<>]/g, (c) => ESCAPES[c]);
+
+const latest = {};              // lane -> newest request id
+
+function loadGrammar(language, seen = new Set()) {
+    if (!/^[\w-]+$/.test(language)) return false; // Names come from links; never let one pick a path
+    if (Prism.languages[language] || seen.has(language)) return !!Prism.languages[language];
+    seen.add(language);
+    for (const dependency of REQUIRES[language] || []) loadGrammar(dependency, seen);
+    if (Prism.languages[language]) return true; // Loaded as part of a dependency
+    try { importScripts(`${COMPONENTS}prism-${language}.min.js`); } catch (e) { return false; }
+    for (const extra of EXTRAS[language] || []) loadGrammar(extra, seen);
+    return !!Prism.languages[language];
+}
+
+function tokenClass(token) {
+    const aliases = token.alias ? [].concat(token.alias) : [];
+    return ['token', token.type, ...aliases].join(' ');
+}
+
+// Token stream -> one HTML string per line, closing and reopening spans across line breaks
+function toLines(tokens) {
+    const lines = [];
+    const open = [];
+    let current = '';
+
+    const text = (value) => {
+        const parts = value.split('\n');
+        for (let i = 0; i < parts.length; i++) {
+            if (i > 0) {
+                lines.push(current + '</span>'.repeat(open.length));
+                current = open.join('');
+            }
+            current += escapeHtml(parts[i]);
+        }
+    };
+    const walk = (stream) => {
+        for (const token of stream) {
+            if (typeof token === 'string') { text(token); continue; }
+            const tag = `<span class="${tokenClass(token)}">`;
+            open.push(tag);
+            current += tag;
+            walk(Array.isArray(token.content) ? token.content : [token.content]);
+            open.pop();
+            current += '</span>';
+        }
+    };
+    walk(tokens);
+    lines.push(current);
+    return lines;
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve));
+
+function highlight(text, grammar) {
+    return grammar ? toLines(Prism.tokenize(text, grammar)) : text.split('\n').map(escapeHtml);
+}
+
+// [start, end) line ranges, preferring to break where a blank line follows
+function chunkRanges(lines) {
+    const ranges = [];
+    for (let start = 0; start < lines.length;) {
+        let end = Math.min(start + CHUNK_LINES, lines.length);
+        for (let i = end; i < Math.min(end + CHUNK_SLACK, lines.length); i++) {
+            if (!lines[i].trim()) { end = i + 1; break; }
+        }
+        ranges.push([start, end]);
+        start = end;
+    }
+    return ranges;
+}
+
+self.addEventListener('message', async ({ data }) => {
+    const { id, text, language, focus = 0, lane = 'view' } = data;
+    latest[lane] = id;
+    // Let requests queued behind this one arrive first; only the newest is worth tokenizing
+    await tick();
+    if (id !== latest[lane]) return;
+
+    const grammar = loadGrammar(language) ? Prism.languages[language] : null;
+    const source = text.split('\n');
+
+    if (source.length <= WHOLE_LIMIT) {
+        const lines = highlight(text, grammar);
+        for (let start = 0; start < lines.length; start += BATCH_LINES) {
+            if (id !== latest[lane]) return;
+            const done = start + BATCH_LINES >= lines.length;
+            self.postMessage({ id, lane, start, lines: lines.slice(start, start + BATCH_LINES), done });
+            if (!done) await tick();
+        }
+        return;
+    }
+
+    // Nearest chunks to the viewport first
+    const ranges = chunkRanges(source);
+    const distance = ([start, end]) => focus < start ? start - focus : focus >= end ? focus - end + 1 : 0;
+    ranges.sort((a, b) => distance(a) - distance(b));
+    for (let i = 0; i < ranges.length; i++) {
+        if (id !== latest[lane]) return;
+        const [start, end] = ranges[i];
+        self.postMessage({ id, lane, start, lines: highlight(source.slice(start, end).join('\n'), grammar), done: i === ranges.length - 1 });
+        await tick();
+    }
+});
@@ -0,0 +1,129 @@
+/*
+ * SharePaste - Local history and drafts (IndexedDB)
+ *
+ *   pastes  { id, link, title, language, files, size, preview, encrypted, keyless, source, pinned, createdAt, usedAt, expiresAt }
+ *   drafts  { id: 'current', files, activeFile, diff, title, createdAt, expiresAt, savedAt }
+ *
+ * A paste is keyed by its creation time, so re-sharing an edited paste updates its entry
+ * instead of adding another one. Pastes and drafts with an expiry are dropped once it passes.
+ * Nothing here ever leaves the browser, but an encrypted paste is only recorded by its link and
+ * metadata (no preview or file names), and the editor keeps no draft of one, so its plaintext
+ * never sits on disk.
+ * A random-key link carries its own key, so it is stored without it (keyless) and can't be opened
+ * from here; a passphrase link is stored whole, since it is useless without the passphrase.
+ */
+
+const DB_NAME = 'sharepaste';
+const DB_VERSION = 1;
+const PASTES = 'pastes';
+const DRAFTS = 'drafts';
+const DRAFT_ID = 'current';
+const PREVIEW_LENGTH = 300;
+
+let dbPromise = null;
+
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) { reject(new Error('IndexedDB is not available')); return; }
+            const req = window.indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains(PASTES)) db.createObjectStore(PASTES, { keyPath: 'id' });
+                if (!db.objectStoreNames.contains(DRAFTS)) db.createObjectStore(DRAFTS, { keyPath: 'id' });
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+async function store(name, mode = 'readonly') {
+    const db = await openDb();
+    return db.transaction(name, mode).objectStore(name);
+}
+
+/* --- HISTORY --- */
+
+// files: [{ name, text }]; source: 'created' | 'opened'. Pin state and first source survive updates.
+// keyless: link has had its key cut off, so it only identifies the paste.
+export async function recordPaste({ link, title = '', language = null, files, encrypted = false, keyless = false, createdAt = null, expiresAt = null, source }) {
+    const id = createdAt ? String(Math.floor(createdAt / 1000)) : link;
+    const text = files.map((f) => f.text).join('\n');
+    const existing = await request((await store(PASTES)).get(id));
+    const entry = {
+        id,
+        link,
+        title,
+        language,
+        files: files.map((f) => (encrypted ? '' : f.name || '')),
+        size: new TextEncoder().encode(text).length,
+        preview: encrypted ? '' : text.slice(0, PREVIEW_LENGTH),
+        encrypted,
+        keyless,
+        source: existing ? existing.source : source,
+        pinned: existing ? existing.pinned : false,
+        createdAt: createdAt || (existing ? existing.createdAt : Date.now()),
+        usedAt: Date.now(),
+        expiresAt
+    };
+    await request((await store(PASTES, 'readwrite')).put(entry));
+    return entry;
+}
+
+// Pinned first, then most recently used
+export async function listPastes() {
+    const all = await request((await store(PASTES)).getAll());
+    const expired = all.filter((entry) => entry.expiresAt && entry.expiresAt <= Date.now());
+    if (expired.length) {
+        const pastes = await store(PASTES, 'readwrite');
+        await Promise.all(expired.map((entry) => request(pastes.delete(entry.id))));
+    }
+    return all.filter((entry) => !expired.includes(entry)).sort((a, b) => (b.pinned - a.pinned) || (b.usedAt - a.usedAt));
+}
+
+export async function setPinned(id, pinned) {
+    const entry = await request((await store(PASTES)).get(id));
+    if (!entry) return;
+    entry.pinned = pinned;
+    await request((await store(PASTES, 'readwrite')).put(entry));
+}
+
+export async function deletePaste(id) {
+    await request((await store(PASTES, 'readwrite')).delete(id));
+}
+
+export async function exportHistory() {
+    return { app: 'SharePaste', exportedAt: new Date().toISOString(), pastes: await listPastes() };
+}
+
+/* --- DRAFTS --- */
+
+export async function saveDraft({ files, activeFile = 0, diff = false, title = '', createdAt = null, expiresAt = null }) {
+    const drafts = await store(DRAFTS, 'readwrite');
+    if (!files.some((f) => f.text)) return request(drafts.delete(DRAFT_ID));
+    return request(drafts.put({ id: DRAFT_ID, files, activeFile, diff, title, createdAt, expiresAt, savedAt: Date.now() }));
+}
+
+export async function clearDraft() {
+    return request((await store(DRAFTS, 'readwrite')).delete(DRAFT_ID));
+}
+
+// A draft of a paste past its expiry goes the way of its history entry
+export async function loadDraft() {
+    const draft = await request((await store(DRAFTS)).get(DRAFT_ID));
+    if (draft && draft.expiresAt && draft.expiresAt <= Date.now()) {
+        await clearDraft();
+        return null;
+    }
+    return draft || null;
+}
@@ -0,0 +1,391 @@
+/*
+ * SharePaste - Language detection
+ *
+ * Each language has weighted patterns; a pattern's weight counts once per match (up to
+ * MAX_HITS), so a snippet is judged by how much of it looks like a language rather than by
+ * the first regex that happens to fire. Filenames and shebangs short-circuit the guessing.
+ * Language ids are Prism grammar names, so they can go straight into a `language-*` class.
+ */
+
+const SAMPLE_LENGTH = 20000;     // Plenty to decide; keeps typing in huge pastes cheap
+const MAX_HITS = 10;
+const MIN_SCORE = 3;             // Below this nothing looked like code
+const SHORT_LINES = 3;           // A one-liner can't pile up evidence, so it needs less
+const SHORT_MIN_SCORE = 2;
+const SHEBANG_SCORE = 40;
+const BASE_SHARE = 0.9;          // A dialect inherits this much of its base language's score
+
+export const FALLBACK_LANGUAGE = 'plaintext';
+
+// Shown in the picker, in this order
+export const LANGUAGES = [
+    { id: 'bash', label: 'Bash' },
+    { id: 'c', label: 'C' },
+    { id: 'cpp', label: 'C++' },
+    { id: 'csharp', label: 'C#' },
+    { id: 'css', label: 'CSS' },
+    { id: 'diff', label: 'Diff' },
+    { id: 'docker', label: 'Dockerfile' },
+    { id: 'go', label: 'Go' },
+    { id: 'markup', label: 'HTML / XML' },
+    { id: 'ini', label: 'INI' },
+    { id: 'java', label: 'Java' },
+    { id: 'javascript', label: 'JavaScript' },
+    { id: 'json', label: 'JSON' },
+    { id: 'jsx', label: 'JSX' },
+    { id: 'kotlin', label: 'Kotlin' },
+    { id: 'lua', label: 'Lua' },
+    { id: 'markdown', label: 'Markdown' },
+    { id: 'php', label: 'PHP' },
+    { id: 'plaintext', label: 'Plain Text' },
+    { id: 'powershell', label: 'PowerShell' },
+    { id: 'python', label: 'Python' },
+    { id: 'ruby', label: 'Ruby' },
+    { id: 'rust', label: 'Rust' },
+    { id: 'scss', label: 'SCSS' },
+    { id: 'sql', label: 'SQL' },
+    { id: 'swift', label: 'Swift' },
+    { id: 'toml', label: 'TOML' },
+    { id: 'tsx', label: 'TSX' },
+    { id: 'typescript', label: 'TypeScript' },
+    { id: 'yaml', label: 'YAML' }
+];
+
+const EXTENSION_LANGUAGES = {
+    js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'jsx', ts: 'typescript', mts: 'typescript', cts: 'typescript', tsx: 'tsx',
+    py: 'python', pyw: 'python', java: 'java', kt: 'kotlin', kts: 'kotlin', c: 'c', h: 'c', cpp: 'cpp', cc: 'cpp', cxx: 'cpp', hpp: 'cpp', cs: 'csharp',
+    go: 'go', rs: 'rust', rb: 'ruby', php: 'php', swift: 'swift', sh: 'bash', bash: 'bash', zsh: 'bash', ps1: 'powershell', psm1: 'powershell',
+    html: 'markup', htm: 'markup', xml: 'markup', svg: 'markup', css: 'css', scss: 'scss', json: 'json', sql: 'sql', lua: 'lua',
+    yml: 'yaml', yaml: 'yaml', toml: 'toml', ini: 'ini', cfg: 'ini', md: 'markdown', markdown: 'markdown', diff: 'diff', patch: 'diff',
+    txt: 'plaintext', log: 'plaintext'
+};
+
+// Extension a language is saved under: the first one listed for it above
+const LANGUAGE_EXTENSIONS = {};
+for (const [ext, id] of Object.entries(EXTENSION_LANGUAGES)) if (!LANGUAGE_EXTENSIONS[id]) LANGUAGE_EXTENSIONS[id] = ext;
+
+const SHEBANGS = {
+    python: 'python', python3: 'python', node: 'javascript', deno: 'typescript', bash: 'bash', sh: 'bash', zsh: 'bash',
+    ruby: 'ruby', php: 'php', pwsh: 'powershell', lua: 'lua'
+};
+
+// [pattern, weight]. Patterns must be global; negative weights count against a language.
+const RULES = {
+    javascript: [
+        [/\b(const|let|var)\s+[\w$]+\s*=/g, 2],
+        [/=>/g, 1],
+        [/\bfunction\s*[\w$]*\s*\([^)]*\)\s*\{/g, 2],
+        [/\bconsole\.(log|error|warn|info)\(/g, 3],
+        [/\brequire\(\s*['"]|\bmodule\.exports\b|\bexport\s+(default|const|function|class)\b/g, 3],
+        [/^\s*import\s+.+\s+from\s+['"][^'"]+['"];?\s*$/gm, 2],
+        [/\b(document|window)\.\w+/g, 2],
+        [/===|!==/g, 1],
+        [/\b(undefined|async|await|Promise)\b/g, 1]
+    ],
+    typescript: [
+        [/\w\??:\s*(string|number|boolean|any|void|unknown|never|Record<|Array<|Promise<)/g, 3],
+        [/^\s*(export\s+)?(interface|type)\s+\w+(<[^>]*>)?\s*(=|\{|extends)/gm, 4],
+        [/\b(public|private|protected|readonly)\s+\w+\s*[:;=]/g, 2],
+        [/\bas\s+(const|string|number|any|unknown)\b/g, 3],
+        // Type arguments on a call: useState<User | null>(, new Map<string, number>(
+        [/[\w$]<(string|number|boolean|[A-Z]\w*)(\[\])?(\s*[|,]\s*(string|number|boolean|null|undefined|[A-Z]\w*)(\[\])?)*>\(/g, 3],
+        [/\benum\s+\w+\s*\{/g, 2],
+        [/\bimplements\s+\w+/g, 1]
+    ],
+    jsx: [
+        [/return\s*\(\s*</g, 4],
+        [/\bclassName=/g, 5],
+        // A component tag; right after a name it would be a generic (Promise<User | null>)
+        [/(?<![\w$.])<[A-Z]\w*[\s/>]/g, 2],
+        [/=\{[^}]*\}/g, 1]
+    ],
+    python: [
+        [/^\s*def\s+\w+\s*\([^)]*\)\s*(->\s*[^:]+)?:\s*$/gm, 4],
+        [/^\s*class\s+\w+(\([^)]*\))?:\s*$/gm, 4],
+        [/^\s*from\s+[\w.]+\s+import\s+/gm, 4],
+        [/^\s*import\s+[\w.]+(\s+as\s+\w+)?\s*$/gm, 2],
+        [/^\s*(if|elif|while|for|with|except)\b.*:\s*$/gm, 2],
+        [/^\s*(else|try|finally):\s*$/gm, 2],
+        [/\bself\.\w+/g, 2],
+        [/\b(None|True|False)\b/g, 1],
+        [/\b(elif|lambda|nonlocal)\b/g, 3],
+        [/__\w+__/g, 2],
+        [/\bprint\(/g, 1],
+        [/\[[^\]\n]+\bfor\s+\w+(\s*,\s*\w+)*\s+in\s+[^\]\n]+\]/g, 4],
+        [/\b(range|len|enumerate)\(/g, 1],
+        [/[;{]\s*$/gm, -1]
+    ],
+    java: [
+        [/\bSystem\.(out|err)\.print/g, 5],
+        [/\bpublic\s+static\s+void\s+main\s*\(\s*String/g, 6],
+        [/^\s*import\s+(java|javax|org|com)\.[\w.*]+;/gm, 4],
+        [/^\s*package\s+[\w.]+;\s*$/gm, 3],
+        [/\b(public|private|protected)\s+(static\s+)?(final\s+)?(class|interface|enum|void|String|int|boolean)\b/g, 2],
+        [/@Override\b/g, 4],
+        [/\b(String|Integer|ArrayList|HashMap|List<|Map<)\b/g, 1],
+        [/\bnew\s+\w+(<[^>]*>)?\(/g, 1],
+        [/\bclass\s+\w+(\s+(extends|implements)\s+[\w.<>, ]+)*\s*\{/g, 2],
+        [/\b(void|int|boolean|long|double)\s+\w+\s*\([^)]*\)\s*\{/g, 1]
+    ],
+    kotlin: [
+        [/\bfun\s+(<[^>]*>\s*)?[\w.]+\s*\(/g, 4],
+        [/\bval\s+\w+(\s*:\s*[\w<>?]+)?\s*=/g, 2],
+        [/\bvar\s+\w+\s*:\s*[\w<>?]+/g, 1],
+        [/\bdata\s+class\b|\bcompanion\s+object\b|\bsealed\s+class\b/g, 5],
+        [/\bwhen\s*(\([^)]*\))?\s*\{/g, 3],
+        [/\bprintln\(/g, 2],
+        [/\?:|\?\.|!!\./g, 1]
+    ],
+    csharp: [
+        [/^\s*using\s+System(\.[\w.]+)?;/gm, 5],
+        [/\bConsole\.Write(Line)?\(/g, 5],
+        [/\{\s*get;\s*(private\s+)?(set;)?\s*\}/g, 5],
+        [/^\s*namespace\s+[\w.]+\s*[;{]?\s*$/gm, 2],
+        [/\basync\s+Task\b|\bTask<\w+>/g, 4],
+        [/\b(public|private|internal)\s+(static\s+)?(void|string|int|bool)\s+\w+\s*\(/g, 2],
+        [/\bvar\s+\w+\s*=\s*new\b/g, 2],
+        [/\b(List|Dictionary|IEnumerable)<\w+/g, 1]
+    ],
+    c: [
+        [/^\s*#include\s*<(stdio|stdlib|string|math|stdint|stdbool|unistd|errno|time)\.h>/gm, 5],
+        [/^\s*#include\s*[<"][\w/.]+\.h[>"]/gm, 2],
+        [/^\s*#(define|ifdef|ifndef|endif|pragma)\b/gm, 2],
+        [/\b(printf|fprintf|scanf|malloc|calloc|free|memcpy|strlen)\s*\(/g, 2],
+        [/\bint\s+main\s*\(/g, 3],
+        [/\b(struct|typedef|unsigned|sizeof)\b/g, 1],
+        [/\bNULL\b/g, 1]
+    ],
+    cpp: [
+        [/^\s*#include\s*<(iostream|vector|string|map|set|memory|algorithm|unordered_map|sstream|fstream)>/gm, 5],
+        [/\bstd::/g, 3],
+        [/\b(cout|cin|cerr|endl)\b/g, 3],
+        [/\busing\s+namespace\s+\w+\s*;/g, 5],
+        [/\btemplate\s*</g, 3],
+        [/\b(nullptr|constexpr|noexcept)\b|\bconst\s+auto\s*&/g, 2],
+        [/\bclass\s+\w+\s*(:\s*(public|private)\s+\w+)?\s*\{/g, 1]
+    ],
+    go: [
+        [/^\s*package\s+\w+\s*$/gm, 4],
+        [/^\s*func\s+(\([^)]*\)\s*)?\w+\s*\(/gm, 4],
+        [/\bfmt\.\w+\(/g, 4],
+        [/:=/g, 2],
+        [/^\s*import\s*\(\s*$|^\s*import\s+"[\w/.]+"/gm, 4],
+        [/\berr\s*!=\s*nil\b/g, 5],
+        [/\bgo\s+func\b|\bchan\s+\w+|\bdefer\s+/g, 3],
+        [/\bnil\b/g, 1]
+    ],
+    rust: [
+        [/\bfn\s+\w+\s*(<[^>]*>)?\s*\(/g, 4],
+        [/\blet\s+mut\s+/g, 5],
+        [/\b\w+!\s*[([]/g, 3],
+        [/\b(impl|trait|pub\s+fn|pub\s+struct|pub\s+enum)\b/g, 2],
+        [/^\s*use\s+[\w:]+(::\{[^}]*\})?;/gm, 3],
+        [/&mut\s|&self\b|->\s*(Self|Result|Option|Vec|String|i32|u32|u64|usize|bool)\b/g, 3],
+        [/\b(Some|Ok|Err)\(/g, 1],
+        [/\bmatch\s+[\w.]+\s*\{/g, 2]
+    ],
+    ruby: [
+        [/^\s*def\s+\w+[?!]?(\([^)]*\))?\s*$/gm, 3],
+        [/^\s*end\s*$/gm, 2],
+        [/\bputs\s/g, 3],
+        [/^\s*require(_relative)?\s+['"]/gm, 3],
+        [/\battr_(accessor|reader|writer)\b/g, 5],
+        [/\bdo\s*\|[\w\s,]+\|/g, 4],
+        [/\b(elsif|unless)\b/g, 3],
+        [/^\s*(class\s+\w+(\s*<\s*[\w:]+)?|module\s+\w+)\s*$/gm, 3],
+        [/:\w+\s*=>|[({,]\s*\w+:\s+\w/g, 1]
+    ],
+    php: [
+        [/<\?php/g, 10],
+        [/\$this->/g, 5],
+        [/\b(public|private|protected)\s+(static\s+)?function\b/g, 5],
+        [/\bfunction\s+\w+\s*\(\s*(\??\w+\s+)?\$/g, 3],
+        [/^\s*(namespace|use)\s+[\w\\]+\\\w+/gm, 4],
+        [/\$\w+\s*(=|->)/g, 1],
+        [/\becho\s+['"$]/g, 1]
+    ],
+    swift: [
+        [/\bimport\s+(UIKit|SwiftUI|Foundation|Combine)\b/g, 8],
+        [/\bfunc\s+\w+\s*(<[^>]*>)?\([^)]*\)\s*(throws\s*)?->/g, 4],
+        [/\bfunc\s+\w+\s*\(/g, 1],
+        [/\b(guard|if)\s+let\b/g, 5],
+        [/\bvar\s+\w+\s*:\s*[\w[\]?]+/g, 1],
+        [/@(State|Published|Binding|objc|IBOutlet|main)\b/g, 4],
+        [/\\\(\w+/g, 2],
+        [/\bstruct\s+\w+\s*:\s*\w+/g, 3]
+    ],
+    bash: [
+        [/^\s*(if|while|until)\s+\[\[?\s/gm, 4],
+        [/^\s*(fi|done|esac)\s*$/gm, 4],
+        [/;\s*then\s*$|^\s*then\s*$/gm, 2],
+        [/^\s*(export|local|readonly)\s+\w+=/gm, 3],
+        [/^\s*\w+=("[^"]*"|'[^']*'|\S*)\s*$/gm, 1],
+        [/\|\s*(grep|awk|sed|xargs|sort|uniq|wc|head|tail|cut|tr)\b/g, 3],
+        [/^\s*(sudo|apt(-get)?|brew|chmod|chown|mkdir|cd|curl|wget|echo|npm|git|docker|cat|ls|rm|cp|mv)\s/gm, 2],
+        [/\$\(|\$\{\w+/g, 2],
+        [/^\s*[\w-]+\s*\(\)\s*\{/gm, 3]
+    ],
+    powershell: [
+        [/\b(Get|Set|New|Remove|Write|Invoke|Start|Stop|Import|Export|Test|Add|Out|Select|Where|ForEach)-[A-Z]\w+/g, 5],
+        [/\s-(eq|ne|gt|lt|ge|le|like|match|and|or|not)\s/g, 3],
+        [/\$_\.|\$PSScriptRoot|\$env:/g, 4],
+        [/\[\w+(\.\w+)*(\[\])?\]\$\w+/g, 3],
+        [/\bparam\s*\(/g, 3],
+        [/\$\w+\s*=/g, 1]
+    ],
+    sql: [
+        [/^\s*(SELECT|INSERT\s+INTO|UPDATE|DELETE\s+FROM|CREATE\s+(OR\s+REPLACE\s+)?(TABLE|INDEX|VIEW|DATABASE|FUNCTION)|ALTER\s+TABLE|DROP\s+(TABLE|INDEX)|WITH\s+\w+\s+AS)\b/gim, 4],
+        [/\b(FROM|WHERE|JOIN|GROUP\s+BY|ORDER\s+BY|VALUES|LIMIT|HAVING|SET)\b/g, 2],
+        [/\b(VARCHAR|INTEGER|PRIMARY\s+KEY|NOT\s+NULL|FOREIGN\s+KEY|REFERENCES|AUTO_INCREMENT)\b/gi, 3],
+        [/\b(COUNT|SUM|AVG|MAX|MIN)\s*\(/g, 1]
+    ],
+    json: [
+        [/^\s*"[^"\n]+"\s*:/gm, 2],
+        [/^\s*[\]}],?\s*$/gm, 1],
+        [/\b(true|false|null)\b/g, 0.5]
+    ],
+    yaml: [
+        [/^\s*[\w-]+:\s*([^\s{;].*)?$/gm, 1],
+        [/^\s*-\s+[\w"'][^:]*$/gm, 1],
+        [/^\s*-\s+[\w-]+:\s/gm, 2],
+        [/^\s*[\w-]+:\s*[|>][-+]?\s*$/gm, 3],
+        [/^(apiVersion|kind|metadata|spec|services|version|steps|jobs|on|runs-on|uses|image|env|name):/gm, 3],
+        [/^---\s*$/gm, 2],
+        [/[;{}()]\s*$/gm, -1]
+    ],
+    toml: [
+        [/^\s*\[\[[\w.-]+\]\]\s*$/gm, 5],
+        [/^\s*\[[\w.-]+\]\s*$/gm, 2],
+        [/^\s*[\w.-]+\s*=\s*("|'|\d|true\b|false\b|\[|\{)/gm, 2]
+    ],
+    ini: [
+        [/^\s*\[[\w .-]+\]\s*$/gm, 2],
+        [/^\s*[\w.-]+\s*=\s*[^"'[{\s].*$/gm, 1],
+        [/^\s*;/gm, 2]
+    ],
+    markup: [
+        [/<!DOCTYPE\s+html>|<\?xml\b/gi, 10],
+        [/<\/?(html|head|body|div|span|p|a|ul|ol|li|script|style|table|tr|td|form|input|button|img|meta|link|section|header|footer|nav|main|svg|path)\b[^>]*>/gi, 2],
+        [/<\/[\w:-]+>/g, 1],
+        [/<[\w:-]+(\s+[\w:-]+="[^"]*")+\s*\/?>/g, 1]
+    ],
+    css: [
+        [/^\s*[^\s{};][^{};]*\{\s*$/gm, 1],
+        [/^\s*[\w-]+\s*:\s*[^;{}]+;\s*$/gm, 2],
+        [/^\s*[^\s{};][^{};\n]*\{\s*([\w-]+\s*:\s*[^;{}\n]+;\s*)+\}/gm, 3],
+        [/\b(color|margin|padding|display|font-size|font-family|background|border|width|height|position)\s*:/g, 2],
+        [/@(media|import|keyframes|font-face)\b/g, 3],
+        [/\d(px|em|rem|vh|vw)\b/g, 1],
+        [/#[0-9a-fA-F]{3,6}\b/g, 1]
+    ],
+    scss: [
+        [/^\s*\$[\w-]+\s*:/gm, 5],
+        [/@(mixin|include|extend|use|each)\b/g, 5],
+        [/&(:|\.|-|\s*\{)/g, 3]
+    ],
+    markdown: [
+        [/^#{1,6}\s+\S/gm, 2],
+        [/\[[^\]\n]+\]\([^)\n]+\)/g, 4],
+        [/^```/gm, 4],
+        [/\*\*[^*\n]+\*\*|__[^_\n]+__/g, 2],
+        [/`[^`\n]+`/g, 1],
+        [/^\s*([-*+]|\d+\.)\s+\S/gm, 1],
+        [/^>\s/gm, 2]
+    ],
+    docker: [
+        [/^\s*FROM\s+[\w./:@-]+(\s+AS\s+\w+)?\s*$/gim, 6],
+        [/^\s*(RUN|COPY|ADD|CMD|ENTRYPOINT|WORKDIR|EXPOSE|ENV|ARG|LABEL|USER|VOLUME|HEALTHCHECK)\s/gm, 4]
+    ],
+    lua: [
+        [/\blocal\s+(function\s+)?\w+/g, 3],
+        [/\bfunction\s+[\w.:]+\s*\([^)]*\)\s*$/gm, 2],
+        [/\belseif\b|~=/g, 4],
+        [/\b(i?pairs)\(/g, 5],
+        [/^\s*end\s*$/gm, 1],
+        [/^\s*--(?!-)/gm, 1]
+    ],
+    diff: [
+        [/^@@\s+-\d+(,\d+)?\s+\+\d+(,\d+)?\s+@@/gm, 8],
+        [/^(---|\+\+\+)\s+\S+/gm, 4],
+        [/^diff\s+--git\b/gm, 8]
+    ]
+};
+
+// Dialects score their own patterns plus most of their base language's
+const BASES = { typescript: 'javascript', jsx: 'javascript', cpp: 'c', scss: 'css' };
+
+export function languageFromName(name) {
+    if (!name) return null;
+    const base = name.split('/').pop();
+    if (/^dockerfile$/i.test(base) || /\.dockerfile$/i.test(base)) return 'docker';
+    const ext = base.includes('.') ? base.split('.').pop().toLowerCase() : '';
+    return EXTENSION_LANGUAGES[ext] || null;
+}
+
+function countMatches(pattern, text) {
+    pattern.lastIndex = 0;
+    let count = 0;
+    while (count < MAX_HITS && pattern.exec(text)) count++;
+    return count;
+}
+
+function looksLikeJson(text) {
+    const trimmed = text.trim();
+    if (!/^[[{]/.test(trimmed)) return false;
+    try { JSON.parse(trimmed); return true; } catch (e) { return false; }
+}
+
+// Ranked [{ language, score, confidence }], best first; empty when nothing stands out
+export function detectLanguages(code, filename = '') {
+    const fromName = languageFromName(filename);
+    if (fromName) return [{ language: fromName, score: Infinity, confidence: 1 }];
+
+    const text = (code || '').slice(0, SAMPLE_LENGTH);
+    if (!text.trim()) return [];
+
+    const scores = {};
+    for (const [language, rules] of Object.entries(RULES)) {
+        scores[language] = rules.reduce((sum, [pattern, weight]) => sum + weight * countMatches(pattern, text), 0);
+    }
+    for (const [dialect, base] of Object.entries(BASES)) {
+        if (scores[dialect] > 0) scores[dialect] += scores[base] * BASE_SHARE;
+    }
+    // tsx is just jsx with types
+    if (scores.jsx > MIN_SCORE && RULES.typescript.some(([p]) => countMatches(p, text))) scores.tsx = scores.jsx + scores.typescript;
+    if (looksLikeJson(text)) scores.json += SHEBANG_SCORE;
+
+    const shebang = text.match(/^#!\s*\S*?(?:\/env\s+)?([\w.-]+?)(\d[\d.]*)?(?:\s|$)/);
+    if (shebang && SHEBANGS[shebang[1]]) scores[SHEBANGS[shebang[1]]] = (scores[SHEBANGS[shebang[1]]] || 0) + SHEBANG_SCORE;
+
+    const minScore = text.trim().split('\n').length <= SHORT_LINES ? SHORT_MIN_SCORE : MIN_SCORE;
+    const ranked = Object.entries(scores)
+        .filter(([, score]) => score >= minScore)
+        .sort((a, b) => b[1] - a[1]);
+    // A dialect's base language is supporting evidence, not a rival
+    const rival = ranked.length ? BASES[ranked[0][0]] : null;
+    const total = ranked.reduce((sum, [language, score]) => sum + (language === rival ? 0 : score), 0);
+
+    // Share of the evidence, discounted while there is little evidence at all
+    return ranked.map(([language, score]) => ({
+        language,
+        score,
+        confidence: Math.round(Math.min(1, score / total) * (1 - Math.exp(-score / 8)) * 100) / 100
+    }));
+}
+
+export function detectLanguage(code, filename = '') {
+    const [best] = detectLanguages(code, filename);
+    return best ? best.language : FALLBACK_LANGUAGE;
+}
+
+export function languageLabel(id) {
+    const entry = LANGUAGES.find((l) => l.id === id);
+    return entry ? entry.label : id;
+}
+
+// Languages known by a file name rather than an extension
+const LANGUAGE_FILE_NAMES = { docker: 'Dockerfile' };
+
+export function languageFileName(id, stem) {
+    return LANGUAGE_FILE_NAMES[id] || `${stem}.${LANGUAGE_EXTENSIONS[id] || 'txt'}`;
+}
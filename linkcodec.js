@@ -0,0 +1,39 @@
+/*
+ * SharePaste - Link pipeline
+ * Files -> archive -> zstd -> envelope -> (AES-GCM) -> base64url, and back again.
+ * Runs inside codec-worker.js, or on the main thread where module workers are unavailable.
+ * zstd's init() must have resolved before either function is called.
+ */
+import { compressBytes, decompressBytes } from './codec.js';
+import { PayloadError, toBase64Url, fromBase64Url, encodeEnvelope, decodeEnvelope, encodeArchive, decodeArchive } from './payload.js';
+import { MODE_KEY, encrypt } from './encryption.js';
+import { createDelta, applyDelta } from './diff.js';
+
+// files: [{ name, language, text }]; a lone unnamed file is encoded as plain text, and a diff
+// ([before, after]) as the base plus a delta. encryption: { mode, key, rawKey, salt } as kept by
+// the editor. Resolves to { payload, inputSize, level }.
+export async function encodeLink({ files, meta, level, encryption, diff = false }) {
+    const single = !diff && files.length === 1 && !files[0].name;
+    const entries = diff ? [files[0], { ...files[1], text: createDelta(files[0].text, files[1].text) }] : files;
+    const buffer = single ? new TextEncoder().encode(files[0].text) : encodeArchive(entries);
+    const { body, dictId } = compressBytes(buffer, level);
+    const envelope = encodeEnvelope({ meta: { ...meta, language: single ? files[0].language : null }, dictId, archive: !single, diff, body });
+
+    if (!encryption.mode) return { payload: toBase64Url(envelope), inputSize: buffer.length, level };
+    const blob = await encrypt(envelope, encryption);
+    const keyPart = encryption.mode === MODE_KEY ? '.' + toBase64Url(encryption.rawKey) : '';
+    return { payload: 'e=' + toBase64Url(blob) + keyPart, inputSize: buffer.length, level };
+}
+
+// data: the base64url hash of an unencrypted link, or the already decrypted envelope bytes
+export function decodeLink(data) {
+    const bytes = typeof data === 'string' ? fromBase64Url(data) : data;
+    const { meta, dictId, archive, diff, body } = decodeEnvelope(bytes);
+    const raw = decompressBytes(body, dictId);
+    const files = archive ? decodeArchive(raw) : [{ name: '', language: meta.language || null, text: new TextDecoder().decode(raw) }];
+    if (diff) {
+        if (files.length !== 2) throw new PayloadError('Link data corrupted.');
+        files[1].text = applyDelta(files[0].text, files[1].text);
+    }
+    return { meta, files, diff };
+}
@@ -0,0 +1,219 @@
+/*
+ * SharePaste - Link payload format
+ *
+ * Versioned envelope (everything after the first byte is optional to readers that know the version):
+ *   [magic 'S':1] [version:1] [flags:1]
+ *   [dictionary id:1, if FLAG_DICTIONARY]
+ *   [meta length:varint, meta TLVs, if FLAG_META]
+ *   [body: zstd frame of the text, or of an archive if FLAG_ARCHIVE]
+ *
+ * With FLAG_DIFF the archive holds two entries: the base version, and the changed version as a
+ * line delta against it (see diff.js).
+ *
+ * Archive (multi-file pastes), before compression:
+ *   [file count:varint] then per file: [name] [language] [text], each as [length:varint][utf-8]
+ *
+ * Links made before the envelope existed are a bare zstd frame; they start with the zstd
+ * magic number and are still decoded as-is.
+ */
+
+export const MAGIC = 0x53;
+export const VERSION = 1;
+
+export const FLAG_META = 1 << 0;
+export const FLAG_DICTIONARY = 1 << 1;
+export const FLAG_ARCHIVE = 1 << 2;
+export const FLAG_DIFF = 1 << 3;
+
+// A reader must refuse flags it doesn't know, since they change how the rest is laid out
+const KNOWN_FLAGS = FLAG_META | FLAG_DICTIONARY | FLAG_ARCHIVE | FLAG_DIFF;
+
+// Metadata tags. Unknown tags are skipped so older readers survive newer links.
+const TAG_TITLE = 1;
+const TAG_LANGUAGE = 2;
+const TAG_READ_ONLY = 3;
+const TAG_THEME = 4;
+const TAG_CREATED_AT = 5;
+const TAG_EXPIRES_AT = 6;
+
+const ZSTD_MAGIC = [0x28, 0xb5, 0x2f, 0xfd];
+const NEWER_VERSION = 'This link was made with a newer version of SharePaste. Reload the page to update.';
+
+// Errors whose message is safe to show the person opening the link
+export class PayloadError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PayloadError';
+    }
+}
+
+/* --- BASE64URL --- */
+
+export function toBase64Url(bytes) {
+    let binaryString = '';
+    for (let i = 0; i < bytes.length; i += 8192) {
+        binaryString += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+    }
+    return btoa(binaryString).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function fromBase64Url(str) {
+    let base64 = str.replace(/-/g, '+').replace(/_/g, '/');
+    while (base64.length % 4) base64 += '=';
+    let binaryString;
+    try { binaryString = atob(base64); } catch (e) { throw new PayloadError('Link data corrupted.'); }
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) bytes[i] = binaryString.charCodeAt(i);
+    return bytes;
+}
+
+/* --- VARINTS (unsigned LEB128) --- */
+
+function writeVarint(out, value) {
+    while (value >= 0x80) {
+        out.push((value % 0x80) | 0x80);
+        value = Math.floor(value / 0x80);
+    }
+    out.push(value);
+}
+
+function readVarint(bytes, pos) {
+    let value = 0, scale = 1;
+    while (true) {
+        if (pos >= bytes.length) throw new PayloadError('Link data truncated.');
+        const byte = bytes[pos++];
+        value += (byte & 0x7f) * scale;
+        if (!(byte & 0x80)) return [value, pos];
+        scale *= 0x80;
+    }
+}
+
+/* --- METADATA --- */
+
+function encodeMeta(meta) {
+    const out = [];
+    const enc = new TextEncoder();
+    const field = (tag, bytes) => { out.push(tag); writeVarint(out, bytes.length); out.push(...bytes); };
+
+    if (meta.title) field(TAG_TITLE, enc.encode(meta.title));
+    if (meta.language) field(TAG_LANGUAGE, enc.encode(meta.language));
+    if (meta.readOnly) field(TAG_READ_ONLY, [1]);
+    if (meta.theme) field(TAG_THEME, enc.encode(meta.theme));
+    if (meta.createdAt) { const ts = []; writeVarint(ts, Math.floor(meta.createdAt / 1000)); field(TAG_CREATED_AT, ts); }
+    if (meta.expiresAt) { const ts = []; writeVarint(ts, Math.ceil(meta.expiresAt / 1000)); field(TAG_EXPIRES_AT, ts); }
+    return out;
+}
+
+function decodeMeta(bytes) {
+    const meta = {};
+    const dec = new TextDecoder();
+    let pos = 0;
+    while (pos < bytes.length) {
+        const tag = bytes[pos++];
+        let len;
+        [len, pos] = readVarint(bytes, pos);
+        if (pos + len > bytes.length) throw new PayloadError('Link data truncated.');
+        const value = bytes.subarray(pos, pos + len);
+        pos += len;
+
+        if (tag === TAG_TITLE) meta.title = dec.decode(value);
+        else if (tag === TAG_LANGUAGE) meta.language = dec.decode(value);
+        else if (tag === TAG_READ_ONLY) meta.readOnly = value[0] === 1;
+        else if (tag === TAG_THEME) meta.theme = dec.decode(value);
+        else if (tag === TAG_CREATED_AT) meta.createdAt = readVarint(value, 0)[0] * 1000;
+        else if (tag === TAG_EXPIRES_AT) meta.expiresAt = readVarint(value, 0)[0] * 1000;
+    }
+    return meta;
+}
+
+/* --- ARCHIVE --- */
+
+export function encodeArchive(files) {
+    const enc = new TextEncoder();
+    const parts = [];
+    const head = [];
+    writeVarint(head, files.length);
+    parts.push(Uint8Array.from(head));
+
+    for (const file of files) {
+        for (const value of [file.name || '', file.language || '', file.text]) {
+            const bytes = enc.encode(value);
+            const len = [];
+            writeVarint(len, bytes.length);
+            parts.push(Uint8Array.from(len), bytes);
+        }
+    }
+
+    const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let pos = 0;
+    for (const p of parts) { out.set(p, pos); pos += p.length; }
+    return out;
+}
+
+export function decodeArchive(bytes) {
+    const dec = new TextDecoder();
+    const readString = (pos) => {
+        let len;
+        [len, pos] = readVarint(bytes, pos);
+        if (pos + len > bytes.length) throw new PayloadError('Link data truncated.');
+        return [dec.decode(bytes.subarray(pos, pos + len)), pos + len];
+    };
+
+    let [count, pos] = readVarint(bytes, 0);
+    const files = [];
+    for (let i = 0; i < count; i++) {
+        let name, language, text;
+        [name, pos] = readString(pos);
+        [language, pos] = readString(pos);
+        [text, pos] = readString(pos);
+        files.push({ name, language: language || null, text });
+    }
+    if (!files.length) throw new PayloadError('Link data corrupted.');
+    return files;
+}
+
+/* --- ENVELOPE --- */
+
+export function isLegacy(bytes) {
+    return ZSTD_MAGIC.every((b, i) => bytes[i] === b);
+}
+
+export function encodeEnvelope({ meta = {}, dictId = 0, archive = false, diff = false, body }) {
+    const metaBytes = encodeMeta(meta);
+    const flags = (metaBytes.length ? FLAG_META : 0) | (dictId ? FLAG_DICTIONARY : 0) | (archive ? FLAG_ARCHIVE : 0) | (diff ? FLAG_DIFF : 0);
+    const header = [MAGIC, VERSION, flags];
+    if (dictId) header.push(dictId);
+    if (metaBytes.length) { writeVarint(header, metaBytes.length); header.push(...metaBytes); }
+
+    const out = new Uint8Array(header.length + body.length);
+    out.set(header, 0);
+    out.set(body, header.length);
+    return out;
+}
+
+// Returns { version, flags, dictId, archive, diff, meta, body }; legacy links come back as version 0 with empty meta
+export function decodeEnvelope(bytes) {
+    if (isLegacy(bytes)) return { version: 0, flags: 0, dictId: 0, archive: false, diff: false, meta: {}, body: bytes };
+    if (bytes.length < 3 || bytes[0] !== MAGIC) throw new PayloadError('Link data corrupted.');
+
+    const version = bytes[1];
+    if (version > VERSION) throw new PayloadError(NEWER_VERSION);
+
+    const flags = bytes[2];
+    if (flags & ~KNOWN_FLAGS) throw new PayloadError(NEWER_VERSION);
+    if ((flags & FLAG_DIFF) && !(flags & FLAG_ARCHIVE)) throw new PayloadError('Link data corrupted.');
+
+    let pos = 3, meta = {}, dictId = 0;
+    if (flags & FLAG_DICTIONARY) {
+        if (pos >= bytes.length) throw new PayloadError('Link data truncated.');
+        dictId = bytes[pos++];
+    }
+    if (flags & FLAG_META) {
+        let len;
+        [len, pos] = readVarint(bytes, pos);
+        if (pos + len > bytes.length) throw new PayloadError('Link data truncated.');
+        meta = decodeMeta(bytes.subarray(pos, pos + len));
+        pos += len;
+    }
+    return { version, flags, dictId, archive: !!(flags & FLAG_ARCHIVE), diff: !!(flags & FLAG_DIFF), meta, body: bytes.subarray(pos) };
+}
@@ -0,0 +1,59 @@
+/*
+ * SharePaste - Animated QR frames
+ *
+ * A payload too long for one QR code is cut into indexed frames that loop on screen:
+ *   SP1:<id>:<index>:<total>:<data>
+ * <id> is the first 12 hex chars of the payload's SHA-256, so it both tells transfers apart
+ * and lets the receiver verify the reassembled payload. Frames can be read in any order and
+ * missed ones are simply picked up on the next loop.
+ */
+import { sha256Hex } from './transfer.js';
+
+const PREFIX = 'SP1';
+const ID_LENGTH = 12;
+export const FRAME_DATA_SIZE = 250;   // Keeps each code around version 10, readable at phone distance
+export const MAX_FRAMES = 400;
+
+// The payload is a URL hash, so it is plain ASCII and can be sliced by character
+export async function createFrames(payload, size = FRAME_DATA_SIZE) {
+    const id = (await sha256Hex(new TextEncoder().encode(payload))).slice(0, ID_LENGTH);
+    const total = Math.max(1, Math.ceil(payload.length / size));
+    if (total > MAX_FRAMES) return null;
+    return Array.from({ length: total }, (_, i) => `${PREFIX}:${id}:${i}:${total}:${payload.slice(i * size, (i + 1) * size)}`);
+}
+
+export function parseFrame(text) {
+    const match = /^SP1:([0-9a-f]{12}):(\d+):(\d+):(.*)$/s.exec(text || '');
+    if (!match) return null;
+    const index = Number(match[2]), total = Number(match[3]);
+    if (total < 1 || total > MAX_FRAMES || index >= total) return null;
+    return { id: match[1], index, total, data: match[4] };
+}
+
+// Collects frames of one transfer; switches to a new transfer if a different id shows up
+export function createAssembler() {
+    let id = null, total = 0, parts = [], received = 0;
+
+    return {
+        add(frame) {
+            if (frame.id !== id || frame.total !== total) {
+                id = frame.id; total = frame.total;
+                parts = new Array(total); received = 0;
+            }
+            if (parts[frame.index] === undefined) { parts[frame.index] = frame.data; received++; }
+            return { received, total, complete: received === total };
+        },
+        missing() {
+            const out = [];
+            for (let i = 0; i < total; i++) if (parts[i] === undefined) out.push(i);
+            return out;
+        },
+        // Resolves to the payload, or null if it doesn't match the id it was announced with
+        async result() {
+            if (!total || received !== total) return null;
+            const payload = parts.join('');
+            const hash = await sha256Hex(new TextEncoder().encode(payload));
+            return hash.startsWith(id) ? payload : null;
+        }
+    };
+}
@@ -1,15 +1,44 @@
-import { init, compress, decompress } from './zstd.js';
+import { PayloadError, fromBase64Url } from './payload.js';
+import { MODE_KEY, MODE_PASSPHRASE, generateKey, exportKey, importKey, createSalt, deriveKey, decrypt, readHeader } from './encryption.js';
+import { createZip } from './zip.js';
+import { peerChannel, sendPayload, receivePayload, refusePayload } from './transfer.js';
+import { createHostSession, joinSession, diffOp, applyOp, transformIndex } from './collab.js';
+import { createFrames, parseFrame, createAssembler } from './qrframes.js';
+import { LANGUAGES, FALLBACK_LANGUAGE, detectLanguages, detectLanguage, languageLabel, languageFileName } from './language.js';
+import { recordPaste, listPastes, setPinned, deletePaste, exportHistory, saveDraft, clearDraft, loadDraft } from './history.js';
+import { diffLines, diffRows } from './diff.js';
+import { resolveStyles, toHtml, toSvg, toPng, toMarkdown } from './export.js';
 
-const MAX_LINES = 10000;          
-const HIGHLIGHT_LIMIT = 10000;  
+const HIGHLIGHT_LIMIT = 500000;   // Lines; past this the text is shown plain
+const OVERSCAN_LINES = 20;        // Rendered above and below the viewport so fast scrolling doesn't flash
+const MAX_URL_LENGTH = 2 * 1024 * 1024; // Chrome's cap; longer pastes can only travel over P2P
 const P2P_LIMIT = 800; // Trigger P2P immediately if URL > 800 chars so QR is always perfectly readable
+const P2P_CONNECT_TIMEOUT = 20000; // Signalling server or the other device unreachable
+const QR_FRAME_INTERVAL = 250;
+const JSQR_URL = 'vendor/jsqr/jsQR.min.js';
+const DRAFT_SAVE_DELAY = 1000;
+const COMPRESSION_LEVEL = 4;      // zstd level while typing
+const IDLE_DELAY = 2000;          // Quiet time before the link is recompressed harder
+const DIFF_ROW_LIMIT = 20000;     // Diff rows drawn; the rest is only in the Before/After tabs
+const IMAGE_LINE_LIMIT = 500;     // Lines in a code image; past this it would be unreadable anyway
 
 const editor = document.getElementById('editor');
 const codeContent = document.getElementById('code-content');
 const highlighting = document.getElementById('highlighting');
+const highlightSpacer = document.getElementById('highlight-spacer');
+const highlightSelection = document.getElementById('line-selection');
 const stats = document.getElementById('stats');
 const lineNumbers = document.getElementById('line-numbers');
 const editorContainer = document.getElementById('editor-container');
+const transferBar = document.getElementById('transfer-bar');
+const transferFill = document.getElementById('transfer-fill');
+const cursorLayer = document.getElementById('cursor-layer');
+const livePanel = document.getElementById('live-panel');
+const liveParticipantsEl = document.getElementById('live-participants');
+const liveStatus = document.getElementById('live-status');
+const liveEndBtn = document.getElementById('live-end');
+const fileTabs = document.getElementById('file-tabs');
+const addFileBtn = document.getElementById('add-file');
 
 // Toolbar Buttons
 const tbCopy = document.getElementById('tb-copy');
@@ -17,45 +46,161 @@ const tbLock = document.getElementById('tb-lock');
 const tbLines = document.getElementById('tb-lines');
 const tbTheme = document.getElementById('tb-theme');
 const tbExpand = document.getElementById('tb-expand');
+const tbLanguage = document.getElementById('tb-language');
+const tbDiff = document.getElementById('tb-diff');
+const diffView = document.getElementById('diff-view');
+const diffSummary = document.getElementById('diff-summary');
+const diffContent = document.getElementById('diff-content');
 
 // Modals
 const sendBtn = document.getElementById('send-btn');
 const downloadBtn = document.getElementById('download-btn');
+const exportMenu = document.getElementById('export-menu');
+const exportFileName = document.getElementById('export-file-name');
 const shareModal = document.getElementById('share-modal');
 const closeShare = document.getElementById('close-share');
 const qrcodeDiv = document.getElementById('qrcode');
 const qrStatus = document.getElementById('qr-status');
 const shareUrlInput = document.getElementById('share-url');
 const modalCopyBtn = document.getElementById('modal-copy-btn');
+const encryptModes = document.getElementById('encrypt-modes');
+const sharePassphrase = document.getElementById('share-passphrase');
+const shareError = document.getElementById('share-error');
+const unlockModal = document.getElementById('unlock-modal');
+const unlockForm = document.getElementById('unlock-form');
+const unlockPassphrase = document.getElementById('unlock-passphrase');
+const unlockError = document.getElementById('unlock-error');
+const unlockCancel = document.getElementById('unlock-cancel');
+const shareTitle = document.getElementById('share-title');
+const shareExpiry = document.getElementById('share-expiry');
+const shareReceivers = document.getElementById('share-receivers');
+const liveBtn = document.getElementById('live-btn');
+const qrModeBtn = document.getElementById('qr-mode-btn');
+const scanBtn = document.getElementById('scan-btn');
+const scanModal = document.getElementById('scan-modal');
+const closeScan = document.getElementById('close-scan');
+const scanVideo = document.getElementById('scan-video');
+const scanFill = document.getElementById('scan-fill');
+const scanStatus = document.getElementById('scan-status');
+const historyBtn = document.getElementById('history-btn');
+const historyModal = document.getElementById('history-modal');
+const closeHistory = document.getElementById('close-history');
+const historySearch = document.getElementById('history-search');
+const historyList = document.getElementById('history-list');
+const historyExport = document.getElementById('history-export');
 
 let debounceTimer = null; 
 let urlDebounceTimer = null; 
-let currentRenderedLines = 0;
+let draftTimer = null;
+let lines = [''];           // editor.value split into lines
+let metrics = { lineHeight: 24, paddingTop: 0 };
+let highlightWorker = null; // null until first use, false if workers are unavailable
+let highlightId = 0;
+let highlightSource = [];   // Lines of the text the worker is highlighting
+let highlightCache = [];    // Per line: { text, html }, reused while the line's text is unchanged
+let lineSelection = null;   // { start, end, anchor } picked in the gutter, 1-based and inclusive, in the active file
+let gutterSelection = null; // The gutter's counterpart of highlightSelection
 let currentPeer = null; 
+let sharePayload = '';      // Hash payload behind the link currently shown in the share menu
+let shareMenuSequence = 0;  // Newest opening of the share menu; older ones give way to it
+let receiverLimit = 0;      // Devices a P2P room serves before closing; 0 for no limit
+let qrAnimation = null;     // Interval driving the animated QR
+let scanner = null;         // { stream, raf } while the camera is open
 let isLocked = false;
+let urlSequence = 0; // Drops results of stale async URL updates
+let urlPayload = '';  // Payload of the link the stats badge describes
+let codecWorker = null;     // null until first use, false if module workers are unavailable
+let codecId = 0;
+let codecRequests = new Map(); // id -> { message, resolve, reject } awaiting the worker
+let codecInline = null;     // The pipeline loaded on this thread, only when there is no worker
+let idleTimer = null;
+
+// Active encryption for generated links: mode is null (plain), MODE_KEY or MODE_PASSPHRASE
+let encryption = { mode: null, key: null, rawKey: null, salt: null };
+
+// Metadata carried in the link envelope alongside the text
+let pasteMeta = { title: '', createdAt: null, expiresAt: null };
+
+// Set while the paste came from a P2P room that asked not to keep it (offer keep: false): no draft,
+// no history entry and nothing in the address bar until another paste is opened or the editor is cleared
+let ephemeral = false;
+
+// Open files; the editor always shows files[activeFile]. A lone unnamed file is encoded as plain text.
+let files = [{ name: '', language: null, text: '' }];
+let activeFile = 0;
+
+// Diff mode: files[0] is the earlier version and files[1] the later one
+let diffMode = false;
+let diffData = null;        // { before, after, ops } while the diff view is open
+let diffLayout = window.innerWidth >= 900 ? 'split' : 'unified';
+let diffHighlightId = 0;
+let diffHighlighted = [];   // Highlighted HTML per line of before + '\n' + after
+let exportHighlight = null; // { id, source, lines, resolve } while the worker highlights a file for export
+let exportHighlightId = 0;  // Exports run in the worker's 'export' lane, apart from the editor's ids
+
+// Live collaboration: { role: 'host' | 'guest', session, peer } while a session is running
+let liveSession = null;
+let liveText = '';          // Editor text as last exchanged with the session
+let liveParticipants = [];
+let liveCursors = [];
+let applyingRemote = false;
+let cursorTimer = null;
+const DEFAULT_TITLE = document.title;
 
 // Themes
 const themes = [
-    { name: 'tomorrow', url: 'https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0/themes/prism-tomorrow.min.css', bg: '#2d2d2d' },
-    { name: 'okaidia', url: 'https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0/themes/prism-okaidia.min.css', bg: '#272822' },
-    { name: 'twilight', url: 'https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0/themes/prism-twilight.min.css', bg: '#141414' },
-    { name: 'funky', url: 'https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0/themes/prism-funky.min.css', bg: '#000000' }
+    { name: 'tomorrow', url: 'vendor/prism/themes/prism-tomorrow.min.css', bg: '#2d2d2d' },
+    { name: 'okaidia', url: 'vendor/prism/themes/prism-okaidia.min.css', bg: '#272822' },
+    { name: 'twilight', url: 'vendor/prism/themes/prism-twilight.min.css', bg: '#141414' },
+    { name: 'funky', url: 'vendor/prism/themes/prism-funky.min.css', bg: '#000000' }
 ];
 let currentThemeIndex = 0;
 
 async function main() {
-    // Tell Prism Autoloader to automatically fetch language syntax files from CDN
-    if (window.Prism && window.Prism.plugins && window.Prism.plugins.autoloader) {
-        window.Prism.plugins.autoloader.languages_path = 'https://cdnjs.cloudflare.com/ajax/libs/prism/1.29.0/components/';
+    if (lineNumbers) {
+        lineNumbers.innerHTML = '<div></div><div></div><div></div><div class="line-selection hidden"></div>';
+        gutterSelection = lineNumbers.children[3];
+        lineNumbers.addEventListener('click', handleGutterClick);
     }
-    
-    try { await init('./zstd.wasm'); } catch (e) { console.error(e); }
-    checkInitialHash();
+    measureEditor();
+    if ('serviceWorker' in navigator) navigator.serviceWorker.register('./sw.js').catch((e) => console.error(e));
+    renderTabs();
+    if (await openSharedText()) return;
+    if (window.location.hash.length > 1) checkInitialHash();
+    else restoreDraft();
 }
 
+// Web Share Target: the service worker takes the POSTed share, redirects to ./?shared and hands
+// the content over from memory, so it never reaches the server or the address bar
+async function openSharedText() {
+    if (!new URLSearchParams(window.location.search).has('shared')) return false;
+    window.history.replaceState(null, null, window.location.pathname);
+    let shared = null;
+    try { shared = await (await fetch('share-target', { cache: 'no-store' })).json(); } catch (e) {}
+    if (!shared) return false;
+    const title = (shared.title || '').trim();
+    const text = shared.text || '';
+    const url = (shared.url || '').trim();
+
+    // Sharing a SharePaste link into the app just opens it
+    const link = [url, text.trim()].find((value) => value.startsWith(window.location.origin + window.location.pathname + '#'));
+    if (link) { window.location.hash = link.split('#')[1]; return true; }
+
+    const body = [text, url && !text.includes(url) ? url : ''].filter(Boolean).join('\n');
+    if (!body && !title) return false;
+    ephemeral = false;
+    applyMeta({ title });
+    loadFiles([{ name: '', language: null, text: body || title }]);
+    updateUrl(true, editor.value.split('\n').length);
+    return true;
+}
+
+// Hash formats: #<payload>, #e=<encrypted>[.<key>], either followed by ~<line anchor>; #p2p=<peer id>, #live=<peer id>, #scan
 function checkInitialHash() {
     const hash = window.location.hash;
-    if (hash.startsWith('#p2p=')) receiveP2P(hash.split('=')[1]);
+    if (hash === '#scan') openScanner();
+    else if (hash.startsWith('#p2p=')) receiveP2P(hash.split('=')[1]);
+    else if (hash.startsWith('#live=')) joinLiveSession(hash.split('=')[1]);
     else if (hash.length > 1) decodeUrl();
 }
 
@@ -77,8 +222,10 @@ tbCopy.addEventListener('click', () => {
     });
 });
 
-tbLock.addEventListener('click', () => {
-    isLocked = !isLocked;
+tbLock.addEventListener('click', () => setLocked(!isLocked));
+
+function setLocked(locked) {
+    isLocked = locked;
     editor.readOnly = isLocked;
     const iconLock = document.getElementById('icon-lock');
     if (isLocked) {
@@ -90,20 +237,24 @@ tbLock.addEventListener('click', () => {
         tbLock.classList.remove('text-red-400', 'active');
         editor.classList.remove('cursor-not-allowed', 'opacity-80');
     }
-});
+    renderTabs();
+}
 
 tbLines.addEventListener('click', () => {
     editorContainer.classList.toggle('hide-lines');
     tbLines.classList.toggle('active');
     handleScroll();
+    if (liveSession) renderRemoteCursors();
 });
 
-tbTheme.addEventListener('click', () => {
-    currentThemeIndex = (currentThemeIndex + 1) % themes.length;
+tbTheme.addEventListener('click', () => applyTheme((currentThemeIndex + 1) % themes.length));
+
+function applyTheme(index) {
+    currentThemeIndex = index;
     const theme = themes[currentThemeIndex];
     document.getElementById('prism-theme').href = theme.url;
     editorContainer.style.background = theme.bg;
-});
+}
 
 tbExpand.addEventListener('click', () => {
     editorContainer.classList.toggle('is-fullscreen');
@@ -125,197 +276,1643 @@ tbExpand.addEventListener('click', () => {
    ========================================= */
 
 function handleScroll() {
+    renderViewport();
+    if (cursorLayer) cursorLayer.firstElementChild.style.transform = `translate(${-editor.scrollLeft}px, ${-editor.scrollTop}px)`;
+}
+
+function handleInput() {
+    const text = editor.value;
+    files[activeFile].text = text;
+
+    // A guest has no session until the connection opens, and nothing to edit until the welcome
+    if (liveSession && liveSession.session && !applyingRemote && text !== liveText) {
+        const op = diffOp(liveText, text);
+        liveText = text;
+        liveSession.session.applyLocal(op);
+        renderRemoteCursors();
+    }
+
+    lines = text.split('\n');
+    renderViewport();
+
+    clearTimeout(debounceTimer);
+    if (lines.length > HIGHLIGHT_LIMIT) {
+        ++highlightId; // Drop whatever the worker is still sending
+        codeContent.className = highlighting.className = 'language-plaintext';
+    } else {
+        const delay = text.length > 50000 ? 1000 : text.length > 10000 ? 600 : 300;
+        debounceTimer = setTimeout(requestHighlight, delay);
+    }
+
+    clearTimeout(urlDebounceTimer);
+    clearTimeout(idleTimer);
+    urlDebounceTimer = setTimeout(() => updateUrl(false, lines.length), 400);
+}
+
+/* --- VIEWPORT RENDERING --- */
+
+// The textarea holds the whole text; the highlight layer and gutter only lay out the lines on screen
+function measureEditor() {
+    const style = window.getComputedStyle(editor);
+    metrics = { lineHeight: parseFloat(style.lineHeight) || 24, paddingTop: parseFloat(style.paddingTop) || 0 };
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function firstVisibleLine() {
+    return Math.max(0, Math.floor((editor.scrollTop - metrics.paddingTop) / metrics.lineHeight));
+}
+
+function renderViewport() {
+    const { lineHeight } = metrics;
+    const first = Math.max(0, firstVisibleLine() - OVERSCAN_LINES);
+    const last = Math.min(lines.length, first + Math.ceil(editor.clientHeight / lineHeight) + OVERSCAN_LINES * 2);
+
+    const html = [];
+    for (let i = first; i < last; i++) {
+        const cached = highlightCache[i];
+        html.push(cached && cached.text === lines[i] ? cached.html : escapeHtml(lines[i]));
+    }
+    codeContent.innerHTML = html.join('\n');
+    codeContent.style.transform = `translateY(${first * lineHeight}px)`;
+    // Gives the highlight layer the textarea's scroll extent, so their scroll positions always line up
+    highlightSpacer.style.width = `${editor.scrollWidth}px`;
+    highlightSpacer.style.height = `${editor.scrollHeight}px`;
+
+    if (lineNumbers) {
+        const [before, numbers, after] = lineNumbers.children;
+        before.style.height = `${first * lineHeight}px`;
+        numbers.textContent = Array.from({ length: last - first }, (_, i) => first + i + 1).join('\n');
+        numbers.dataset.first = first;
+        after.style.height = `${(lines.length - last) * lineHeight}px`;
+        lineNumbers.style.setProperty('--line-num-width', `calc(${Math.max(3, String(lines.length).length)}ch + 12px)`);
+    }
+
+    renderLineSelection();
+
     highlighting.scrollTop = editor.scrollTop;
     highlighting.scrollLeft = editor.scrollLeft;
     if (lineNumbers) lineNumbers.scrollTop = editor.scrollTop;
 }
 
-function handleInput() {
-    let text = editor.value;
-    let lineCount = 1;
-    let limitIndex = -1;
-    
-    for (let i = 0; i < text.length; i++) {
-        if (text[i] === '\n') {
-            lineCount++;
-            if (lineCount > MAX_LINES) { limitIndex = i; break; }
+/* --- LINE ANCHORS --- */
+
+// Picked lines travel after the payload, GitHub style: #<payload>~L10-L20, or ~F2L10 in the second file
+function lineAnchor() {
+    if (!lineSelection) return '';
+    const { start, end } = lineSelection;
+    return `~${activeFile ? `F${activeFile + 1}` : ''}L${start}${end > start ? `-L${end}` : ''}`;
+}
+
+function parseLineAnchor(anchor = '') {
+    const match = /^(?:F(\d+))?L(\d+)(?:-L(\d+))?$/.exec(anchor);
+    if (!match) return null;
+    const start = Number(match[2]), end = Number(match[3] || match[2]);
+    if (!start || !end) return null;
+    return { file: match[1] ? Math.max(0, Number(match[1]) - 1) : 0, start: Math.min(start, end), end: Math.max(start, end) };
+}
+
+function selectLines(selection, scroll = false) {
+    lineSelection = selection && { start: selection.start, end: selection.end, anchor: selection.anchor || selection.start };
+    renderViewport();
+    if (scroll && lineSelection) {
+        editor.scrollTop = Math.max(0, metrics.paddingTop + (lineSelection.start - 1) * metrics.lineHeight - editor.clientHeight / 3);
+        handleScroll();
+    }
+}
+
+function renderLineSelection() {
+    const visible = !!lineSelection && lineSelection.start <= lines.length;
+    for (const band of [highlightSelection, gutterSelection]) {
+        if (!band) continue;
+        band.classList.toggle('hidden', !visible);
+        if (!visible) continue;
+        const end = Math.min(lineSelection.end, lines.length);
+        band.style.top = `${metrics.paddingTop + (lineSelection.start - 1) * metrics.lineHeight}px`;
+        band.style.height = `${(end - lineSelection.start + 1) * metrics.lineHeight}px`;
+    }
+    if (visible) highlightSelection.style.width = `${editor.scrollWidth}px`;
+}
+
+// Click picks a line (again to clear it), shift-click extends from the last picked line
+function handleGutterClick(e) {
+    const numbers = lineNumbers.children[1];
+    const line = Number(numbers.dataset.first) + Math.floor((e.clientY - numbers.getBoundingClientRect().top) / metrics.lineHeight) + 1;
+    if (line < 1 || line > lines.length) return;
+
+    if (e.shiftKey && lineSelection) {
+        const { anchor } = lineSelection;
+        selectLines({ start: Math.min(anchor, line), end: Math.max(anchor, line), anchor });
+    } else if (lineSelection && lineSelection.start === line && lineSelection.end === line) {
+        selectLines(null);
+    } else {
+        selectLines({ start: line, end: line });
+    }
+    if (!liveSession) updateUrl(true, lines.length);
+}
+
+function getHighlightWorker() {
+    if (highlightWorker === null) {
+        try {
+            highlightWorker = new Worker('highlight-worker.js');
+            highlightWorker.addEventListener('message', handleHighlight);
+            highlightWorker.addEventListener('error', (e) => { console.error(e); highlightWorker = false; abandonExportHighlight(); });
+        } catch (e) {
+            highlightWorker = false; // No workers (file://, old browsers): the text stays plain
         }
     }
+    return highlightWorker;
+}
 
-    if (limitIndex !== -1) {
-        const start = editor.selectionStart; const end = editor.selectionEnd;
-        text = text.substring(0, limitIndex); editor.value = text;
-        editor.setSelectionRange(Math.min(start, text.length), Math.min(end, text.length));
-        lineCount = MAX_LINES; 
+function requestHighlight() {
+    const lang = refreshLanguage();
+    codeContent.className = highlighting.className = `language-${lang}`;
+    const worker = getHighlightWorker();
+    if (!worker) return;
+    highlightSource = lines;
+    worker.postMessage({ id: ++highlightId, text: editor.value, language: lang, focus: firstVisibleLine() });
+}
+
+function handleHighlight({ data }) {
+    if (data.lane === 'export') { handleExportHighlight(data); return; }
+    if (data.id === diffHighlightId) { handleDiffHighlight(data); return; }
+    if (data.id !== highlightId) return;
+    for (let i = 0; i < data.lines.length; i++) {
+        highlightCache[data.start + i] = { text: highlightSource[data.start + i], html: data.lines[i] };
     }
+    const first = firstVisibleLine();
+    if (data.start < first + editor.clientHeight / metrics.lineHeight + OVERSCAN_LINES && data.start + data.lines.length > first - OVERSCAN_LINES) renderViewport();
+}
 
-    let displayContent = text;
-    if (displayContent.endsWith('\n')) displayContent += " "; 
-    codeContent.textContent = displayContent;
+function languageForFile(file) {
+    return file.language || detectLanguage(file.text, file.name);
+}
 
-    if (lineNumbers && lineCount !== currentRenderedLines) {
-        currentRenderedLines = lineCount;
-        lineNumbers.textContent = Array.from({length: lineCount}, (_, i) => i + 1).join('\n');
+/* --- LANGUAGE PICKER --- */
+
+function renderLanguagePicker() {
+    tbLanguage.innerHTML = '';
+    for (const { id, label } of [{ id: '', label: 'Auto' }, ...LANGUAGES]) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = label;
+        tbLanguage.appendChild(option);
     }
+}
 
-    if (lineCount > HIGHLIGHT_LIMIT) {
-        codeContent.className = 'language-text'; 
-    } else {
-        clearTimeout(debounceTimer);
-        const delay = text.length > 50000 ? 1000 : text.length > 10000 ? 600 : 300;
-        debounceTimer = setTimeout(() => {
-            const lang = detectLanguage(text);
-            codeContent.className = `language-${lang}`;
-            if (window.Prism) Prism.highlightElement(codeContent); 
-        }, delay);
+// Detects the active file's language, shows the guess on the picker's Auto entry and returns what to highlight with
+function refreshLanguage() {
+    const file = files[activeFile];
+    const candidates = detectLanguages(file.text, file.name);
+    const best = candidates[0];
+    const auto = tbLanguage.options[0];
+    auto.textContent = best ? `Auto · ${languageLabel(best.language)} ${Math.round(best.confidence * 100)}%` : 'Auto';
+    tbLanguage.title = candidates.length
+        ? 'Detected: ' + candidates.slice(0, 3).map((c) => `${languageLabel(c.language)} ${Math.round(c.confidence * 100)}%`).join(', ')
+        : 'Language';
+
+    // Links may name a grammar the picker doesn't list; keep it selectable
+    if (file.language && ![...tbLanguage.options].some((o) => o.value === file.language)) {
+        const option = document.createElement('option');
+        option.value = file.language;
+        option.textContent = languageLabel(file.language);
+        tbLanguage.appendChild(option);
     }
+    tbLanguage.value = file.language || '';
+    tbLanguage.disabled = isLocked || !!liveSession;
+    return file.language || (best ? best.language : FALLBACK_LANGUAGE);
+}
 
-    clearTimeout(urlDebounceTimer);
-    urlDebounceTimer = setTimeout(() => updateUrl(false, lineCount), 400);
-}
-
-// Improved Heuristics for bulletproof auto-coloring
-function detectLanguage(code) {
-    if (!code) return 'javascript';
-    if (/^\s*(import|from)\s+\w+/m.test(code) || /^\s*def\s+\w+\s*\(/m.test(code) || /print\(/.test(code)) return 'python';
-    if (/(public\s+)?(class|interface)\s+\w+/.test(code) || /public\s+static\s+void\s+main/.test(code) || /System\.out\.println/.test(code)) return 'java';
-    if (/#include\s*</.test(code) || /int\s+main\s*\(/.test(code) || /std::/.test(code)) return 'cpp';
-    if (/<\/?[a-z][\s\S]*>/i.test(code)) return 'markup'; // markup handles HTML/XML beautifully
-    if (/^[\s\w-]+\s*:\s*[^;]+;/m.test(code) && code.includes('{') && code.includes('}')) return 'css';
-    if (/function\s*\w*\s*\(|const\s+\w+\s*=|let\s+\w+\s*=|=>/.test(code)) return 'javascript';
-    if (/^\s*package\s+\w+/m.test(code) || /^\s*func\s+\w+\s*\(/m.test(code)) return 'go';
-    if (/^\s*fn\s+\w+\s*\(/m.test(code) || /^\s*let\s+mut\s+/.test(code)) return 'rust';
-    if (/^\s*(SELECT|INSERT|UPDATE|DELETE|CREATE)\s+/im.test(code)) return 'sql';
-    if (/^\s*[{[]\s*".+"\s*:\s*/m.test(code)) return 'json';
-    
-    // Defaulting to Javascript paints almost all generic code (curly braces, strings) beautifully
-    return 'javascript'; 
+if (tbLanguage) {
+    renderLanguagePicker();
+    tbLanguage.addEventListener('change', () => {
+        files[activeFile].language = tbLanguage.value || null;
+        handleInput();
+        updateUrl(true, editor.value.split('\n').length);
+        scheduleDraftSave();
+    });
 }
 
-function updateUrl(saveToHistory = false, currentLines = 0) {
-    const text = editor.value;
-    if (!text) {
+/* --- LINK CODEC (WORKER) --- */
+
+// How hard to recompress once the user stops typing; big pastes get a cheaper level
+function idleLevel(size) {
+    if (size <= 1024 * 1024) return 19;
+    if (size <= 8 * 1024 * 1024) return 12;
+    return COMPRESSION_LEVEL;
+}
+
+function getCodecWorker() {
+    if (codecWorker === null) {
+        try {
+            const worker = new Worker('codec-worker.js', { type: 'module' });
+            worker.addEventListener('message', handleCodecMessage);
+            worker.addEventListener('error', (e) => {
+                // Module workers are fairly new; finish whatever was queued on this thread
+                console.error(e);
+                worker.terminate();
+                codecWorker = false;
+                const queued = [...codecRequests.values()];
+                codecRequests.clear();
+                queued.forEach(({ message, resolve, reject }) => runInline(message).then(resolve, reject));
+            });
+            codecWorker = worker;
+        } catch (e) {
+            codecWorker = false;
+        }
+    }
+    return codecWorker;
+}
+
+function handleCodecMessage({ data }) {
+    const request = codecRequests.get(data.id);
+    if (!request) return;
+    codecRequests.delete(data.id);
+    if (data.error !== undefined) request.reject(data.payloadError ? new PayloadError(data.error) : new Error(data.error));
+    else request.resolve(data.stale ? undefined : data.result);
+}
+
+async function runInline(message) {
+    if (!codecInline) {
+        codecInline = Promise.all([import('./zstd.js'), import('./linkcodec.js')])
+            .then(([zstd, pipeline]) => zstd.init('./zstd.wasm').then(() => pipeline));
+        codecInline.catch(() => { codecInline = null; });
+    }
+    const { encodeLink, decodeLink } = await codecInline;
+    if (message.op === 'decode') return decodeLink(message.data);
+    const started = performance.now();
+    return { ...(await encodeLink(message)), time: performance.now() - started };
+}
+
+// Encodes resolve to { payload, inputSize, level, time }, or undefined once a newer encode replaced them
+function runCodec(message) {
+    const worker = getCodecWorker();
+    if (!worker) return runInline(message);
+
+    // An idle recompression can keep the worker busy for seconds; rather than queue behind it, start a fresh one
+    const pending = [...codecRequests.values()];
+    if (message.op === 'encode' && pending.some((r) => r.message.level > COMPRESSION_LEVEL) && pending.every((r) => r.message.op === 'encode')) {
+        worker.terminate();
+        codecWorker = null;
+        codecRequests.clear();
+        pending.forEach((r) => r.resolve(undefined));
+        return runCodec(message);
+    }
+
+    const id = ++codecId;
+    return new Promise((resolve, reject) => {
+        codecRequests.set(id, { message, resolve, reject });
+        worker.postMessage({ id, ...message });
+    });
+}
+
+// Resolves to the hash payload ('' when empty), undefined if a newer update superseded this one, or null if
+// encoding failed (the stats badge says so). Typing encodes at a fast level; after IDLE_DELAY without
+// changes the same link is redone at idleLevel(), and kept only if it comes out shorter.
+async function updateUrl(saveToHistory = false, currentLines = 0, level = COMPRESSION_LEVEL) {
+    const single = !diffMode && files.length === 1 && !files[0].name;
+    const sequence = ++urlSequence;
+    clearTimeout(idleTimer);
+    if (single && !files[0].text) {
+        pasteMeta.createdAt = pasteMeta.expiresAt = null; // An emptied editor starts a new paste
+        ephemeral = false;
         if (saveToHistory) window.history.replaceState(null, null, ' ');
-        stats.innerHTML = "0 LINES"; return;
+        stats.innerHTML = "0 LINES"; urlPayload = ''; return '';
     }
 
     try {
-        const buffer = new TextEncoder().encode(text);
-        const compressed = compress(buffer, 4); 
-        
-        let binaryString = '';
-        for (let i = 0; i < compressed.length; i += 8192) {
-            binaryString += String.fromCharCode.apply(null, compressed.subarray(i, i + 8192));
-        }
+        const result = await runCodec({ op: 'encode', files: files.map((f) => ({ ...f })), meta: currentMeta(), level, encryption, diff: diffMode });
+        if (!result || sequence !== urlSequence) return;
+        const { payload, inputSize, time } = result;
+        // A harder level can come out longer on a tiny paste
+        if (level > COMPRESSION_LEVEL && urlPayload && payload.length >= urlPayload.length) return urlPayload;
+        urlPayload = payload;
         
-        const base64 = btoa(binaryString).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
-        if (saveToHistory && base64.length < 50000) window.history.replaceState(null, null, '#' + base64);
+        if (saveToHistory && !ephemeral && payload.length < 50000) window.history.replaceState(null, null, '#' + payload + lineAnchor());
         
-        const linkLen = window.location.origin.length + 2 + base64.length;
-        const urlClass = linkLen >= P2P_LIMIT ? "text-blue-500 font-bold" : "text-zinc-500";
-        stats.innerHTML = `<span class="text-zinc-500">${currentLines} LINES</span><span class="text-zinc-700 mx-1">|</span><span class="${urlClass}">${(linkLen/1000).toFixed(1)}k URL</span>`;
-    } catch (e) {}
+        const linkLen = window.location.origin.length + 2 + payload.length;
+        const urlClass = linkLen > MAX_URL_LENGTH ? "text-red-500 font-bold" : linkLen >= P2P_LIMIT ? "text-blue-500 font-bold" : "text-zinc-500";
+        const lockBadge = (encryption.mode ? `<span class="text-green-500 mr-1">🔒</span>` : '') +
+            (pasteMeta.expiresAt ? `<span class="text-amber-500 mr-1" title="Expires ${new Date(pasteMeta.expiresAt).toLocaleString()}">⏳</span>` : '');
+        // Nothing is cut off any more, so say plainly when a paste is past what a feature can handle
+        const warnings = [
+            currentLines > HIGHLIGHT_LIMIT ? 'NOT HIGHLIGHTED' : '',
+            linkLen > MAX_URL_LENGTH ? 'TOO LONG FOR A LINK, SHARE VIA P2P' : ''
+        ].filter(Boolean).map((w) => `<span class="text-zinc-700 mx-1">|</span><span class="text-amber-500">${w}</span>`).join('');
+        const timing = `<span class="text-zinc-700 mx-1">|</span><span class="text-zinc-600" title="${formatSize(inputSize)} compressed with zstd level ${result.level} in ${Math.round(time)} ms">L${result.level} · ${Math.round(time)}MS</span>`;
+        stats.innerHTML = `${lockBadge}<span class="text-zinc-500">${currentLines} LINES</span><span class="text-zinc-700 mx-1">|</span><span class="${urlClass}">${(linkLen/1000).toFixed(1)}k URL</span>${timing}${warnings}`;
+
+        const target = idleLevel(inputSize);
+        if (result.level < target) idleTimer = setTimeout(() => updateUrl(saveToHistory, currentLines, target), IDLE_DELAY);
+        return payload;
+    } catch (e) {
+        console.error(e);
+        if (sequence !== urlSequence) return;
+        stats.innerHTML = `<span class="text-red-500 font-bold">LINK NOT UPDATED</span>`;
+        return null;
+    }
 }
 
-function decodeUrl() {
+// remember: false keeps the paste out of history, drafts and the address bar (view-once P2P rooms)
+async function decodeUrl(hash = window.location.hash.slice(1), remember = true) {
     try {
-        const hash = window.location.hash.slice(1);
-        let base64 = hash.replace(/-/g, '+').replace(/_/g, '/');
-        while (base64.length % 4) base64 += '=';
-        const binaryString = atob(base64);
-        const compressed = new Uint8Array(binaryString.length);
-        for(let i=0; i<binaryString.length; i++) compressed[i] = binaryString.charCodeAt(i);
-        
-        editor.value = new TextDecoder().decode(decompress(compressed));
-        handleInput(); handleScroll();
+        const [payload, anchorPart] = hash.split('~');
+        const anchor = parseLineAnchor(anchorPart);
+        if (!payload.startsWith('e=')) encryption = { mode: null, key: null, rawKey: null, salt: null };
+        // Decryption stays here (it may need to prompt for a passphrase); the worker gets the plain envelope
+        const data = payload.startsWith('e=') ? await decryptPayload(payload.slice(2)) : payload;
+        if (!data) return;
+
+        const { meta, files: loaded, diff } = await runCodec({ op: 'decode', data });
+        // Only a courtesy: the link still holds the text, but nobody stumbles on it after the deadline
+        if (meta.expiresAt && Date.now() >= meta.expiresAt) throw new PayloadError(`This paste expired on ${new Date(meta.expiresAt).toLocaleString()}.`);
+        ephemeral = !remember;
+        applyMeta(meta);
+        loadFiles(loaded, anchor ? anchor.file : diff ? 1 : 0, diff);
+        if (anchor && anchor.file === activeFile) selectLines(anchor, true);
+        else if (diffMode) openDiffView();
+        rememberPaste(payload, 'opened');
+    } catch (e) {
+        const message = e instanceof PayloadError ? e.message : 'Link data corrupted.';
+        loadFiles([{ name: '', language: null, text: `// ERROR: ${message}` }]);
+    }
+}
+
+function currentMeta() {
+    if (!pasteMeta.createdAt) pasteMeta.createdAt = Date.now();
+    return {
+        ...pasteMeta,
+        readOnly: isLocked,
+        theme: currentThemeIndex ? themes[currentThemeIndex].name : null
+    };
+}
+
+function applyMeta(meta) {
+    pasteMeta = { title: meta.title || '', createdAt: meta.createdAt || null, expiresAt: meta.expiresAt || null };
+    document.title = pasteMeta.title ? `${pasteMeta.title} | SharePaste` : DEFAULT_TITLE;
+    shareTitle.value = pasteMeta.title;
+    setLocked(!!meta.readOnly);
+    const themeIndex = themes.findIndex((t) => t.name === meta.theme);
+    applyTheme(themeIndex === -1 ? 0 : themeIndex);
+}
+
+/* =========================================
+   FILE TABS
+   ========================================= */
+
+function loadFiles(list, index = 0, diff = false) {
+    files = list.map((f) => ({ name: f.name || '', language: f.language || null, text: f.text || '' }));
+    diffMode = diff && files.length === 2;
+    selectFile(Math.min(index, files.length - 1));
+}
+
+function selectFile(index) {
+    activeFile = index;
+    lineSelection = null;
+    if (diffData) closeDiffView();
+    editor.value = files[activeFile].text;
+    editor.scrollTop = 0; editor.scrollLeft = 0;
+    renderTabs();
+    handleInput(); handleScroll();
+}
+
+function displayName(file, index) {
+    if (diffMode) return (index ? 'after' : 'before') + (file.name ? `: ${file.name}` : '');
+    return file.name || (files.length > 1 ? `untitled-${index + 1}` : 'untitled');
+}
+
+function renderTabs() {
+    fileTabs.innerHTML = '';
+    files.forEach((file, i) => {
+        const tab = document.createElement('div');
+        tab.className = 'file-tab' + (i === activeFile && !diffData ? ' active' : '');
+        tab.dataset.index = i;
+        tab.title = 'Double-click to rename';
+
+        const name = document.createElement('span');
+        name.className = 'file-tab-name';
+        name.textContent = displayName(file, i);
+        tab.appendChild(name);
+
+        if (files.length > 1 && !isLocked && !liveSession && !diffMode) {
+            const close = document.createElement('button');
+            close.className = 'file-tab-close';
+            close.dataset.close = i;
+            close.title = 'Close file';
+            close.textContent = '×';
+            tab.appendChild(close);
+        }
+        fileTabs.appendChild(tab);
+    });
+    if (diffMode) {
+        const tab = document.createElement('div');
+        tab.className = 'file-tab' + (diffData ? ' active' : '');
+        tab.dataset.diff = '';
+        tab.textContent = 'diff';
+        fileTabs.appendChild(tab);
+    }
+    addFileBtn.classList.toggle('hidden', isLocked || !!liveSession || diffMode);
+    tbLanguage.disabled = isLocked || !!liveSession;
+    tbDiff.classList.toggle('active', diffMode);
+    tbDiff.classList.toggle('hidden', !!liveSession);
+}
+
+function addFile() {
+    files.push({ name: '', language: null, text: '' });
+    selectFile(files.length - 1);
+    editor.focus();
+    updateUrl(true, 1);
+    scheduleDraftSave();
+}
+
+function closeFile(index) {
+    const file = files[index];
+    if (file.text.trim() && !window.confirm(`Close ${displayName(file, index)}? Its contents will be removed from the link.`)) return;
+    files.splice(index, 1);
+    selectFile(Math.min(activeFile > index ? activeFile - 1 : activeFile, files.length - 1));
+    updateUrl(true, editor.value.split('\n').length);
+    scheduleDraftSave();
+}
+
+function startRename(tab) {
+    const index = Number(tab.dataset.index);
+    const nameSpan = tab.querySelector('.file-tab-name');
+    const input = document.createElement('input');
+    input.className = 'file-tab-input';
+    input.value = files[index].name;
+    input.placeholder = displayName(files[index], index);
+    nameSpan.replaceWith(input);
+    input.focus(); input.select();
+
+    let done = false;
+    const commit = (save) => {
+        if (done) return;
+        done = true;
+        if (save) files[index].name = input.value.trim().replace(/[\\/]+/g, '-');
+        renderTabs();
+        if (save) { if (index === activeFile) handleInput(); updateUrl(true, editor.value.split('\n').length); scheduleDraftSave(); }
+    };
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') commit(true);
+        else if (e.key === 'Escape') commit(false);
+    });
+    input.addEventListener('blur', () => commit(true));
+}
+
+if (fileTabs) {
+    fileTabs.addEventListener('click', (e) => {
+        const close = e.target.closest('[data-close]');
+        if (close) { closeFile(Number(close.dataset.close)); return; }
+        if (e.target.closest('[data-diff]')) { if (!diffData) openDiffView(); return; }
+        const tab = e.target.closest('.file-tab');
+        if (tab && !liveSession && !e.target.closest('input') && (Number(tab.dataset.index) !== activeFile || diffData)) selectFile(Number(tab.dataset.index));
+    });
+    fileTabs.addEventListener('dblclick', (e) => {
+        const tab = e.target.closest('.file-tab[data-index]');
+        if (tab && !isLocked && !liveSession && !tab.querySelector('input')) startRename(tab);
+    });
+}
+if (addFileBtn) addFileBtn.addEventListener('click', addFile);
+
+/* =========================================
+   DIFF MODE
+   ========================================= */
+
+function enterDiffMode() {
+    const others = files.filter((f, i) => i !== activeFile && f.text.trim());
+    if (others.length && !window.confirm('Diff mode compares two versions of one file. Close the other files?')) return;
+    const file = files[activeFile];
+    loadFiles([{ ...file }, { ...file }], 1, true); // Edit or paste the new version over the copy
+    editor.focus();
+    updateUrl(true, lines.length);
+    scheduleDraftSave();
+}
+
+// Both versions stay open as ordinary files
+function exitDiffMode() {
+    diffMode = false;
+    if (diffData) closeDiffView();
+    renderTabs();
+    updateUrl(true, lines.length);
+    scheduleDraftSave();
+}
+
+function diffLanguage() {
+    const [before, after] = files;
+    return after.language || before.language || detectLanguage(after.text || before.text, after.name || before.name);
+}
+
+function openDiffView() {
+    const [before, after] = files;
+    diffData = { before: before.text.split('\n'), after: after.text.split('\n'), ops: diffLines(before.text, after.text) };
+    diffHighlighted = [];
+    diffView.classList.remove('hidden');
+    renderTabs();
+    renderDiff();
+
+    // One request for both versions, so the editor's highlighting path and grammars serve the diff as well
+    const worker = getHighlightWorker();
+    if (!worker) return;
+    clearTimeout(debounceTimer); // A request for the hidden editor would make the worker drop this one
+    diffHighlightId = ++highlightId;
+    worker.postMessage({ id: diffHighlightId, text: `${before.text}\n${after.text}`, language: diffLanguage(), focus: 0 });
+}
+
+function closeDiffView() {
+    diffData = null;
+    diffHighlightId = 0;
+    diffView.classList.add('hidden');
+    diffContent.innerHTML = '';
+    renderTabs();
+}
+
+function handleDiffHighlight(data) {
+    if (!diffData) return;
+    for (let i = 0; i < data.lines.length; i++) diffHighlighted[data.start + i] = data.lines[i];
+    if (data.done) renderDiff();
+}
+
+function renderDiff() {
+    const { before, after, ops } = diffData;
+    const split = diffLayout === 'split';
+    const rows = diffRows(ops, { split });
+    const total = (type) => ops.reduce((sum, op) => sum + (op.type === type ? op.count : 0), 0);
+    const added = total('insert'), removed = total('delete');
+    diffSummary.innerHTML = added || removed ? `<span class="text-green-500">+${added}</span> <span class="text-red-400">−${removed}</span>` : 'No differences';
+    diffView.querySelectorAll('.diff-layout').forEach((btn) => btn.classList.toggle('active', btn.dataset.layout === diffLayout));
+
+    // A lone space keeps empty lines one line tall
+    const code = (i, later) => {
+        if (i < 0) return ' ';
+        const html = diffHighlighted[later ? before.length + i : i];
+        return (html !== undefined ? html : escapeHtml((later ? after : before)[i])) || ' ';
+    };
+    const num = (i, kind = '') => `<span class="diff-num ${kind}">${i < 0 ? '' : i + 1}</span>`;
+
+    const html = [];
+    for (const row of rows.slice(0, DIFF_ROW_LIMIT)) {
+        if (row.type === 'fold') {
+            html.push(`<div class="diff-fold">⋯ ${row.count} unchanged line${row.count === 1 ? '' : 's'}</div>`);
+        } else if (split) {
+            const left = row.left < 0 ? 'diff-blank' : row.type === 'equal' ? '' : 'diff-delete';
+            const right = row.right < 0 ? 'diff-blank' : row.type === 'equal' ? '' : 'diff-insert';
+            html.push(`<div class="diff-row split">${num(row.left, left)}<span class="diff-code ${left}">${code(row.left, false)}</span>${num(row.right, right)}<span class="diff-code ${right}">${code(row.right, true)}</span></div>`);
+        } else {
+            const kind = row.type === 'delete' ? 'diff-delete' : row.type === 'insert' ? 'diff-insert' : '';
+            const sign = row.type === 'delete' ? '-' : row.type === 'insert' ? '+' : ' ';
+            const text = row.type === 'insert' ? code(row.right, true) : code(row.left, false);
+            html.push(`<div class="diff-row ${kind}">${num(row.left)}${num(row.right)}<span class="diff-sign">${sign}</span><span class="diff-code">${text}</span></div>`);
+        }
+    }
+    if (rows.length > DIFF_ROW_LIMIT) html.push(`<div class="diff-fold">${rows.length - DIFF_ROW_LIMIT} more rows not shown, open the before and after tabs for the rest</div>`);
+
+    diffContent.className = `language-${diffLanguage()}`;
+    diffContent.style.setProperty('--diff-num-width', `calc(${Math.max(3, String(Math.max(before.length, after.length)).length)}ch + 12px)`);
+    diffContent.innerHTML = html.join('');
+}
+
+if (tbDiff) tbDiff.addEventListener('click', () => {
+    if (isLocked || liveSession) return;
+    if (diffMode) exitDiffMode();
+    else enterDiffMode();
+});
+if (diffView) diffView.addEventListener('click', (e) => {
+    const btn = e.target.closest('.diff-layout');
+    if (!btn || btn.dataset.layout === diffLayout) return;
+    diffLayout = btn.dataset.layout;
+    renderDiff();
+});
+
+/* =========================================
+   ENCRYPTION (AES-GCM, KEY OR PASSPHRASE)
+   ========================================= */
+
+// Returns the decrypted bytes, or null if the user dismissed the passphrase prompt
+async function decryptPayload(data) {
+    const [blobPart, keyPart] = data.split('.');
+    const blob = fromBase64Url(blobPart);
+    const header = readHeader(blob);
+
+    if (header.mode === MODE_KEY) {
+        if (!keyPart) throw new PayloadError('This link is missing its key. Copy the whole link, including the part after the last dot.');
+        const rawKey = fromBase64Url(keyPart);
+        const key = await importKey(rawKey);
+        const bytes = await decrypt(blob, key);
+        encryption = { mode: MODE_KEY, key, rawKey, salt: null };
+        return bytes;
+    }
+
+    editor.value = "// 🔒 Encrypted paste.\n// Enter the passphrase to decrypt it."; handleInput();
+    let error = '';
+    while (true) {
+        const passphrase = await promptPassphrase(error);
+        if (passphrase === null) {
+            editor.value = "// 🔒 Encrypted paste.\n// Reload the page to enter the passphrase."; handleInput();
+            return null;
+        }
+        const key = await deriveKey(passphrase, header.salt);
+        try {
+            const bytes = await decrypt(blob, key);
+            // Keep editing under the same passphrase so the address bar never holds plaintext
+            encryption = { mode: MODE_PASSPHRASE, key, rawKey: null, salt: header.salt };
+            sharePassphrase.value = passphrase;
+            return bytes;
+        } catch (e) {
+            error = 'Wrong passphrase';
+        }
+    }
+}
+
+function promptPassphrase(error = '') {
+    return new Promise((resolve) => {
+        unlockError.innerText = error;
+        unlockPassphrase.value = '';
+        unlockModal.classList.remove('hidden');
+        unlockPassphrase.focus();
+
+        const finish = (value) => {
+            unlockModal.classList.add('hidden');
+            unlockForm.removeEventListener('submit', onSubmit);
+            unlockCancel.removeEventListener('click', onCancel);
+            resolve(value);
+        };
+        const onSubmit = (e) => { e.preventDefault(); if (unlockPassphrase.value) finish(unlockPassphrase.value); };
+        const onCancel = () => finish(null);
+        unlockForm.addEventListener('submit', onSubmit);
+        unlockCancel.addEventListener('click', onCancel);
+    });
+}
+
+async function setEncryptionMode(mode) {
+    try {
+        if (mode === 'key') {
+            if (encryption.mode !== MODE_KEY) {
+                const key = await generateKey();
+                encryption = { mode: MODE_KEY, key, rawKey: await exportKey(key), salt: null };
+            }
+        } else if (mode === 'passphrase') {
+            if (!sharePassphrase.value) { renderEncryptionControls('passphrase'); sharePassphrase.focus(); return; }
+            const salt = createSalt();
+            encryption = { mode: MODE_PASSPHRASE, key: await deriveKey(sharePassphrase.value, salt), rawKey: null, salt };
+        } else {
+            encryption = { mode: null, key: null, rawKey: null, salt: null };
+        }
     } catch (e) {
-        editor.value = "// ERROR: Link data corrupted."; handleInput();
+        // WebCrypto is missing outside secure contexts (plain http on another host)
+        console.error(e);
+        showShareError(window.crypto && crypto.subtle ? 'Could not set up encryption' : 'Encryption needs HTTPS');
+        renderEncryptionControls();
+        return;
     }
+    showShareError();
+    scheduleDraftSave();
+    openShareMenu();
+}
+
+function showShareError(message = '') {
+    shareError.textContent = message;
+    shareError.classList.toggle('hidden', !message);
+}
+
+function renderEncryptionControls(pending) {
+    const active = pending || (encryption.mode === MODE_KEY ? 'key' : encryption.mode === MODE_PASSPHRASE ? 'passphrase' : 'off');
+    encryptModes.querySelectorAll('.encrypt-mode').forEach((btn) => btn.classList.toggle('active', btn.dataset.mode === active));
+    sharePassphrase.classList.toggle('hidden', active !== 'passphrase');
 }
 
 /* =========================================
    SHARE & P2P SYNC LOGIC
    ========================================= */
 
-function openShareMenu() {
-    updateUrl(true, editor.value.split('\n').length); 
-    const longUrl = window.location.href;
-    const urlLength = longUrl.length;
-    
-    shareUrlInput.value = longUrl;
+async function openShareMenu() {
+    // Encode the text as it is now instead of racing the typing debounce, and encode again if another
+    // update replaces this one: the address bar may hold an older paste or a plaintext link.
+    clearTimeout(urlDebounceTimer);
+    const opening = ++shareMenuSequence;
+    let payload;
+    do {
+        payload = await updateUrl(true, editor.value.split('\n').length);
+        if (opening !== shareMenuSequence) return;
+    } while (payload === undefined);
+    renderEncryptionControls();
+    renderShareOptions();
+    stopQrAnimation();
     modalCopyBtn.innerText = "Copy";
     modalCopyBtn.classList.remove("text-green-400");
     shareModal.classList.remove('hidden');
 
     qrcodeDiv.innerHTML = "";
+
+    if (payload === null) {
+        shareUrlInput.value = '';
+        sharePayload = '';
+        qrModeBtn.classList.add('hidden');
+        qrStatus.innerHTML = '';
+        showShareError(encryption.mode && !(window.crypto && crypto.subtle) ? 'Encryption needs HTTPS' : 'Could not create the link');
+        return;
+    }
+    showShareError();
+
+    const longUrl = `${window.location.origin}${window.location.pathname}${payload ? '#' + payload + lineAnchor() : ''}`;
+    const urlLength = longUrl.length;
+    
+    shareUrlInput.value = longUrl;
+    sharePayload = longUrl.split('#')[1] || '';
+    if (payload) rememberPaste(payload, 'created');
     
     // Clean out previous states
-    if (urlLength <= P2P_LIMIT) {
+    const host = liveSession && liveSession.role === 'host';
+    const long = urlLength > P2P_LIMIT && !host;
+    // A room with a receiver limit is the only way in, so no QR may carry the text itself
+    const limited = receiverLimit > 0 && !host && !!payload;
+    qrModeBtn.classList.toggle('hidden', !long || limited);
+    qrModeBtn.dataset.mode = '';
+    qrModeBtn.innerText = 'Offline? Use Animated QR';
+
+    if (liveSession && liveSession.role === 'host') {
+        showLiveRoom();
+    } else if (urlLength <= P2P_LIMIT && !limited) {
         new window.QRCode(qrcodeDiv, { text: longUrl, width: 180, height: 180, colorDark: "#000000", colorLight: "#ffffff", correctLevel: window.QRCode.CorrectLevel.L });
         qrStatus.innerHTML = `<span class="text-zinc-500">SCAN TO OPEN ON PHONE</span>`;
     } else {
-        setupP2PTransfer();
+        setupP2PTransfer(sharePayload, limited ? receiverLimit : 0);
+    }
+}
+
+// Expiry and receiver limit controls; a deadline the paste already has shows as its own entry
+function renderShareOptions() {
+    let until = shareExpiry.querySelector('[data-until]');
+    if (pasteMeta.expiresAt) {
+        if (!until) {
+            until = document.createElement('option');
+            until.dataset.until = '';
+            until.value = 'until';
+            shareExpiry.prepend(until);
+        }
+        until.textContent = `Until ${new Date(pasteMeta.expiresAt).toLocaleString()}`;
+        shareExpiry.value = 'until';
+    } else {
+        if (until) until.remove();
+        shareExpiry.value = '';
     }
+    shareReceivers.value = String(receiverLimit);
+}
+
+function showP2PError(message) {
+    qrcodeDiv.innerHTML = `<div class="text-red-500 text-xs flex h-full items-center text-center">${message}</div>`;
+    qrStatus.innerHTML = `<span>FALLBACK TO COPY URL</span>`;
 }
 
-function setupP2PTransfer() {
+function renderSendProgress(fraction) {
+    const percent = Math.round(fraction * 100);
+    qrcodeDiv.innerHTML = `<div class="w-[180px] flex flex-col items-center gap-2">
+        <span class="text-zinc-600 text-xs font-mono">${percent}%</span>
+        <div class="w-full h-1.5 bg-zinc-200 rounded overflow-hidden"><div class="h-full bg-green-500 transition-all" style="width:${percent}%"></div></div>
+    </div>`;
+    qrStatus.innerHTML = `<span class="text-blue-500 font-bold">SENDING TO DEVICE...</span>`;
+}
+
+// Sends the same payload the long URL carries, so the receiver decodes (and decrypts) it identically
+// limit: devices served before the room closes (0 for no limit). Limited rooms turn further
+// receivers away and ask the ones they serve not to keep the link.
+function setupP2PTransfer(payload, limit = 0) {
     if (currentPeer) { currentPeer.destroy(); currentPeer = null; }
     const p2pId = 'sp-' + Math.random().toString(36).substring(2, 10);
     const shortUrl = `${window.location.origin}${window.location.pathname}#p2p=${p2pId}`;
+    const bytes = new TextEncoder().encode(payload);
+    let served = 0, sending = 0;
+    if (limit) shareUrlInput.value = shortUrl; // The full link would get around the limit
 
     qrcodeDiv.innerHTML = `<div class="text-zinc-400 text-xs animate-pulse flex h-full items-center">Creating Room...</div>`;
     qrStatus.innerHTML = `<span class="animate-pulse">INITIALIZING P2P...</span>`;
 
-    try {
-        currentPeer = new window.Peer(p2pId);
-        currentPeer.on('open', () => {
-            qrcodeDiv.innerHTML = "";
-            new window.QRCode(qrcodeDiv, { text: shortUrl, width: 180, height: 180, colorDark: "#000000", colorLight: "#ffffff", correctLevel: window.QRCode.CorrectLevel.L });
-            
-            // Sleek green pulsing aesthetic for the text label *outside* the white box
-            qrStatus.innerHTML = `<div class="flex flex-col items-center gap-1">
-                <span class="text-green-500/90 font-bold flex items-center gap-2">
-                    <span class="relative flex h-2 w-2">
-                      <span class="animate-ping absolute inline-flex h-full w-full rounded-full bg-green-400 opacity-75"></span>
-                      <span class="relative inline-flex rounded-full h-2 w-2 bg-green-500"></span>
-                    </span>
-                    LIVE P2P SYNC
+    const showRoom = (notice = '', failed = false) => {
+        qrcodeDiv.innerHTML = "";
+        new window.QRCode(qrcodeDiv, { text: shortUrl, width: 180, height: 180, colorDark: "#000000", colorLight: "#ffffff", correctLevel: window.QRCode.CorrectLevel.L });
+        
+        // Sleek green pulsing aesthetic for the text label *outside* the white box
+        qrStatus.innerHTML = `<div class="flex flex-col items-center gap-1">
+            <span class="text-green-500/90 font-bold flex items-center gap-2">
+                <span class="relative flex h-2 w-2">
+                  <span class="animate-ping absolute inline-flex h-full w-full rounded-full bg-green-400 opacity-75"></span>
+                  <span class="relative inline-flex rounded-full h-2 w-2 bg-green-500"></span>
                 </span>
-                <span class="text-[8px] text-zinc-500">KEEP TAB OPEN WHILE SCANNING</span>
-            </div>`;
+                LIVE P2P SYNC
+            </span>
+            <span class="text-[8px] ${failed ? 'text-red-400' : 'text-zinc-500'}">${notice || 'KEEP TAB OPEN WHILE SCANNING'}</span>
+        </div>`;
+    };
+
+    try {
+        const peer = currentPeer = new window.Peer(p2pId);
+        const openTimer = setTimeout(() => { if (currentPeer === peer) { peer.destroy(); currentPeer = null; showP2PError('P2P Unreachable'); } }, P2P_CONNECT_TIMEOUT);
+
+        peer.on('open', () => { clearTimeout(openTimer); showRoom(); });
+        peer.on('error', (e) => {
+            if (currentPeer !== peer || e.type === 'peer-unavailable') return;
+            clearTimeout(openTimer);
+            peer.destroy(); currentPeer = null;
+            showP2PError('P2P Error');
         });
-        currentPeer.on('connection', (conn) => {
+        peer.on('connection', (conn) => {
             conn.on('open', () => {
-                qrcodeDiv.innerHTML = `<div class="text-green-500 font-bold text-sm flex h-full items-center">Transferred!</div>`;
-                qrStatus.innerHTML = `<span>TRANSFER COMPLETE</span>`;
-                conn.send({ text: editor.value });
-                setTimeout(() => { if (currentPeer) currentPeer.destroy(); currentPeer = null; }, 2500);
+                const channel = peerChannel(conn);
+                // Transfers in progress count too, so two quick scans can't both get a view-once paste
+                if (limit && served + sending >= limit) {
+                    refusePayload(channel, 'This paste was already received by the allowed number of devices');
+                    return;
+                }
+                sending++;
+                renderSendProgress(0);
+                sendPayload(channel, bytes, { onProgress: renderSendProgress, keep: !limit })
+                    .then(() => {
+                        sending--; served++;
+                        const closing = limit && served >= limit;
+                        qrcodeDiv.innerHTML = `<div class="text-green-500 font-bold text-sm flex h-full items-center">Transferred!</div>`;
+                        qrStatus.innerHTML = `<span>${closing ? 'TRANSFER COMPLETE · ROOM CLOSED' : 'TRANSFER COMPLETE'}</span>`;
+                        setTimeout(() => {
+                            if (currentPeer !== peer) return;
+                            if (closing) { peer.destroy(); currentPeer = null; }
+                            else showRoom(limit ? `RECEIVED BY ${served} OF ${limit} · KEEP TAB OPEN` : `SENT TO ${served} · KEEP TAB OPEN FOR MORE`);
+                        }, 2500);
+                    })
+                    .catch(() => {
+                        sending--;
+                        conn.close();
+                        if (currentPeer === peer) showRoom('TRANSFER FAILED · RESCAN OR COPY THE URL', true);
+                    });
             });
         });
     } catch (e) {
-        qrcodeDiv.innerHTML = `<div class="text-red-500 text-xs flex h-full items-center">P2P Error</div>`;
-        qrStatus.innerHTML = `<span>FALLBACK TO COPY URL</span>`;
+        showP2PError('P2P Error');
     }
 }
 
+function setTransferProgress(fraction) {
+    transferBar.classList.toggle('hidden', fraction === null);
+    transferFill.style.width = `${Math.round((fraction || 0) * 100)}%`;
+}
+
 function receiveP2P(p2pId) {
-    editor.value = "// 📡 Connecting to PC...\n// Please wait."; handleInput();
+    loadFiles([{ name: '', language: null, text: "// 📡 Connecting to PC...\n// Please wait." }]);
     if (!window.Peer) return;
     const peer = new window.Peer();
+    let settled = false;
+
+    const fail = (reason) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(connectTimer);
+        setTransferProgress(null);
+        loadFiles([{ name: '', language: null, text: `// ERROR: P2P transfer failed (${reason}).\n// Ask the sender to copy the full link from the share menu instead.` }]);
+        peer.destroy();
+    };
+    const connectTimer = setTimeout(() => fail('could not reach the other device'), P2P_CONNECT_TIMEOUT);
+
+    peer.on('error', (e) => fail(e.type === 'peer-unavailable' ? 'the share window was closed' : 'connection error'));
     peer.on('open', () => {
         const conn = peer.connect(p2pId, { reliable: true });
-        conn.on('data', (data) => {
-            if (data && data.text) { editor.value = data.text; handleInput(); updateUrl(true, editor.value.split('\n').length); }
-            setTimeout(() => peer.destroy(), 1000);
+        conn.on('open', () => {
+            clearTimeout(connectTimer);
+            editor.value = "// 📡 Receiving from PC..."; handleInput();
+            setTransferProgress(0);
+            let keep = true;
+            receivePayload(peerChannel(conn), { onProgress: setTransferProgress, onOffer: (offer) => { keep = offer.keep !== false; } })
+                .then((bytes) => {
+                    settled = true;
+                    setTransferProgress(null);
+                    const payload = new TextDecoder().decode(bytes);
+                    // Keep a reloadable link when it fits and the room allows it, and never leave a dead #p2p room in the address bar
+                    window.history.replaceState(null, null, keep && payload && payload.length < 50000 ? '#' + payload : ' ');
+                    decodeUrl(payload, keep);
+                    setTimeout(() => peer.destroy(), 1000);
+                })
+                .catch((e) => fail(e.message.toLowerCase()));
+        });
+    });
+}
+
+/* =========================================
+   ANIMATED QR (OFFLINE, NO SERVER)
+   ========================================= */
+
+async function showAnimatedQr(payload) {
+    if (currentPeer) { currentPeer.destroy(); currentPeer = null; }
+    stopQrAnimation();
+    const frames = await createFrames(payload);
+    if (!frames) { showP2PError('Too large for animated QR'); return; }
+
+    qrcodeDiv.innerHTML = "";
+    const rendered = [];
+    let index = 0, shown = null;
+    const step = () => {
+        // Frames are drawn on first use and then reused for every later loop
+        if (!rendered[index]) {
+            const el = document.createElement('div');
+            new window.QRCode(el, { text: frames[index], width: 180, height: 180, colorDark: "#000000", colorLight: "#ffffff", correctLevel: window.QRCode.CorrectLevel.L });
+            qrcodeDiv.appendChild(el);
+            rendered[index] = el;
+        }
+        if (shown) shown.style.display = 'none';
+        shown = rendered[index];
+        shown.style.display = '';
+        qrStatus.innerHTML = `<div class="flex flex-col items-center gap-1">
+            <span class="text-blue-500 font-bold">ANIMATED QR · ${index + 1}/${frames.length}</span>
+            <span class="text-[8px] text-zinc-500">OPEN SHAREPASTE › SCAN ON THE OTHER DEVICE</span>
+        </div>`;
+        index = (index + 1) % frames.length;
+    };
+    step();
+    if (frames.length > 1) qrAnimation = setInterval(step, QR_FRAME_INTERVAL);
+    qrModeBtn.dataset.mode = 'animated';
+    qrModeBtn.innerText = 'Use P2P Instead';
+}
+
+function stopQrAnimation() {
+    clearInterval(qrAnimation);
+    qrAnimation = null;
+}
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Failed to load ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+// Native BarcodeDetector where available, otherwise the vendored jsQR, loaded on first use
+async function createQrDetector() {
+    if ('BarcodeDetector' in window) {
+        const formats = await window.BarcodeDetector.getSupportedFormats();
+        if (formats.includes('qr_code')) {
+            const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+            return async (video) => (await detector.detect(video)).map((code) => code.rawValue);
+        }
+    }
+    if (!window.jsQR) await loadScript(JSQR_URL);
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    return async (video) => {
+        const scale = Math.min(1, 640 / (video.videoWidth || 640));
+        canvas.width = Math.round(video.videoWidth * scale);
+        canvas.height = Math.round(video.videoHeight * scale);
+        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+        const code = window.jsQR(ctx.getImageData(0, 0, canvas.width, canvas.height).data, canvas.width, canvas.height, { inversionAttempts: 'dontInvert' });
+        return code ? [code.data] : [];
+    };
+}
+
+async function openScanner() {
+    if (scanner) return;
+    scanModal.classList.remove('hidden');
+    scanFill.style.width = '0%';
+    scanStatus.innerText = 'Starting camera...';
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) { scanStatus.innerText = 'Camera not available in this browser'; return; }
+
+    let detect, stream;
+    try {
+        detect = await createQrDetector();
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+    } catch (e) {
+        scanStatus.innerText = e.name === 'NotAllowedError' ? 'Camera permission denied' : 'Could not start the scanner';
+        return;
+    }
+    if (scanModal.classList.contains('hidden')) { stream.getTracks().forEach((t) => t.stop()); return; }
+
+    scanner = { stream, raf: 0 };
+    scanVideo.srcObject = stream;
+    await scanVideo.play().catch(() => {});
+    scanStatus.innerText = 'Point the camera at the QR code';
+
+    let assembler = createAssembler();
+    let busy = false;
+    const tick = async () => {
+        if (!scanner) return;
+        if (!busy && scanVideo.readyState >= 2) {
+            busy = true;
+            try {
+                for (const text of await detect(scanVideo)) {
+                    if (await handleScan(text, assembler) === 'retry') assembler = createAssembler();
+                }
+            } catch (e) {}
+            busy = false;
+        }
+        if (scanner) scanner.raf = requestAnimationFrame(tick);
+    };
+    tick();
+}
+
+async function handleScan(text, assembler) {
+    const frame = parseFrame(text);
+    if (!frame) {
+        // An ordinary single-code SharePaste link: just open it
+        try {
+            const url = new URL(text);
+            if (url.origin === window.location.origin && url.pathname === window.location.pathname && url.hash.length > 1) {
+                closeScanner();
+                window.location.hash = url.hash;
+            }
+        } catch (e) {}
+        return;
+    }
+
+    const { received, total, complete } = assembler.add(frame);
+    scanFill.style.width = `${Math.round(received / total * 100)}%`;
+    // Near the end of the loop, name the frames still missing so the user knows to keep waiting
+    const missing = assembler.missing();
+    scanStatus.innerText = `${received} / ${total} frames` + (missing.length && missing.length <= 5 ? ` · waiting for ${missing.map((i) => i + 1).join(', ')}` : '');
+    if (!complete) return;
+
+    const payload = await assembler.result();
+    if (!payload) { scanStatus.innerText = 'Checksum mismatch, rescanning...'; return 'retry'; }
+    closeScanner();
+    window.history.replaceState(null, null, payload.length < 50000 ? '#' + payload : ' ');
+    decodeUrl(payload);
+}
+
+function closeScanner() {
+    if (scanner) {
+        cancelAnimationFrame(scanner.raf);
+        scanner.stream.getTracks().forEach((t) => t.stop());
+        scanner = null;
+    }
+    scanVideo.srcObject = null;
+    scanModal.classList.add('hidden');
+    if (window.location.hash === '#scan') window.history.replaceState(null, null, ' ');
+}
+
+if (qrModeBtn) qrModeBtn.addEventListener('click', () => {
+    if (qrModeBtn.dataset.mode === 'animated') {
+        stopQrAnimation();
+        qrModeBtn.dataset.mode = '';
+        qrModeBtn.innerText = 'Offline? Use Animated QR';
+        setupP2PTransfer(sharePayload);
+    } else {
+        showAnimatedQr(sharePayload);
+    }
+});
+if (scanBtn) scanBtn.addEventListener('click', openScanner);
+if (closeScan) closeScan.addEventListener('click', closeScanner);
+if (scanModal) scanModal.addEventListener('click', (e) => { if (e.target === scanModal) closeScanner(); });
+
+/* =========================================
+   LIVE COLLABORATION (OT OVER PEERJS)
+   ========================================= */
+
+function liveRoomUrl(peerId) {
+    return `${window.location.origin}${window.location.pathname}#live=${peerId}`;
+}
+
+function startLiveSession() {
+    if (liveSession) { showLiveRoom(); return; }
+    if (diffMode) { showP2PError('Leave diff mode to start a live session'); return; }
+    if (!window.Peer) { showP2PError('P2P Unavailable'); return; }
+    if (currentPeer) { currentPeer.destroy(); currentPeer = null; }
+
+    const peerId = 'sp-live-' + Math.random().toString(36).substring(2, 10);
+    const peer = new window.Peer(peerId);
+    liveText = editor.value;
+    const session = createHostSession({
+        text: liveText,
+        file: files[activeFile].name,
+        onRemoteOp: applyRemoteOp,
+        onCursors: setRemoteCursors,
+        onParticipants: (list) => renderParticipants(list, 'host')
+    });
+    liveSession = { role: 'host', session, peer, peerId, open: false };
+    setLiveMode(true);
+
+    qrcodeDiv.innerHTML = `<div class="text-zinc-400 text-xs animate-pulse flex h-full items-center">Creating Room...</div>`;
+    qrStatus.innerHTML = `<span class="animate-pulse">STARTING LIVE SESSION...</span>`;
+
+    peer.on('open', () => { liveSession.open = true; showLiveRoom(); });
+    peer.on('error', (e) => {
+        if (e.type === 'peer-unavailable') return;
+        endLiveSession('Could not start the live session');
+        showP2PError('P2P Error');
+    });
+    peer.on('connection', (conn) => conn.on('open', () => session.addGuest(peerChannel(conn))));
+}
+
+function showLiveRoom() {
+    if (!liveSession || liveSession.role !== 'host' || !liveSession.open) return;
+    const url = liveRoomUrl(liveSession.peerId);
+    shareUrlInput.value = url;
+    qrcodeDiv.innerHTML = "";
+    new window.QRCode(qrcodeDiv, { text: url, width: 180, height: 180, colorDark: "#000000", colorLight: "#ffffff", correctLevel: window.QRCode.CorrectLevel.L });
+    qrStatus.innerHTML = `<div class="flex flex-col items-center gap-1">
+        <span class="text-green-500/90 font-bold">LIVE SESSION</span>
+        <span class="text-[8px] text-zinc-500">SCAN OR SEND THE LINK TO JOIN</span>
+    </div>`;
+}
+
+function joinLiveSession(peerId) {
+    loadFiles([{ name: '', language: null, text: "// 📡 Joining live session...\n// Please wait." }]);
+    if (!window.Peer) return;
+    const peer = new window.Peer();
+    const connectTimer = setTimeout(() => endLiveSession('Could not reach the host'), P2P_CONNECT_TIMEOUT);
+    liveSession = { role: 'guest', session: null, peer, connectTimer };
+    editor.readOnly = true;
+
+    peer.on('error', (e) => endLiveSession(e.type === 'peer-unavailable' ? 'The live session has ended' : 'Connection error'));
+    peer.on('open', () => {
+        const conn = peer.connect(peerId, { reliable: true });
+        conn.on('open', () => {
+            liveSession.session = joinSession(peerChannel(conn), {
+                onWelcome: ({ text, file }) => {
+                    clearTimeout(connectTimer);
+                    liveSession.joined = true;
+                    editor.readOnly = isLocked;
+                    liveText = text;
+                    applyingRemote = true;
+                    loadFiles([{ name: file, language: null, text }]);
+                    applyingRemote = false;
+                    setLiveMode(true);
+                },
+                onRemoteOp: applyRemoteOp,
+                onCursors: setRemoteCursors,
+                onParticipants: renderParticipants,
+                onEnd: endLiveSession
+            });
+        });
+    });
+}
+
+function endLiveSession(reason = '') {
+    if (!liveSession) return;
+    const { role, session, peer, joined, connectTimer } = liveSession;
+    liveSession = null;
+    clearTimeout(connectTimer);
+    editor.readOnly = isLocked;
+    if (session) session.close();
+    if (peer) setTimeout(() => peer.destroy(), 500); // Let the session say goodbye first
+
+    setLiveMode(false, reason);
+    if (role === 'guest') {
+        // The #live link is dead now; keep whatever text we ended up with
+        window.history.replaceState(null, null, ' ');
+        if (joined) updateUrl(true, editor.value.split('\n').length);
+        else loadFiles([{ name: '', language: null, text: `// ERROR: ${reason}.\n// Ask the host for a fresh live session link.` }]);
+    }
+}
+
+function setLiveMode(active, reason = '') {
+    renderTabs();
+    tbLock.classList.toggle('hidden', active);
+    if (liveBtn) liveBtn.innerText = active ? 'Live Session Running' : 'Start Live Session';
+    if (active) {
+        livePanel.classList.remove('hidden');
+        liveStatus.innerText = '';
+        liveEndBtn.innerText = liveSession.role === 'host' ? 'End' : 'Leave';
+        liveEndBtn.classList.remove('hidden');
+    } else {
+        liveCursors = [];
+        renderRemoteCursors();
+        liveParticipantsEl.innerHTML = '';
+        liveEndBtn.classList.add('hidden');
+        liveStatus.innerText = reason || 'Live session ended';
+        setTimeout(() => { if (!liveSession) livePanel.classList.add('hidden'); }, 4000);
+    }
+}
+
+function renderParticipants(list, selfId) {
+    liveParticipants = list;
+    liveParticipantsEl.innerHTML = '';
+    for (const p of list) {
+        const item = document.createElement('span');
+        item.className = 'flex items-center gap-1';
+        const dot = document.createElement('span');
+        dot.className = 'inline-block h-2 w-2 rounded-full';
+        dot.style.background = p.color;
+        const name = document.createElement('span');
+        name.textContent = p.id === selfId ? `${p.name} (you)` : p.name;
+        item.append(dot, name);
+        liveParticipantsEl.appendChild(item);
+    }
+    renderRemoteCursors();
+}
+
+function applyRemoteOp(op) {
+    const start = transformIndex(op, editor.selectionStart);
+    const end = transformIndex(op, editor.selectionEnd);
+    const scrollTop = editor.scrollTop, scrollLeft = editor.scrollLeft;
+    editor.value = applyOp(op, editor.value);
+    liveText = editor.value;
+    if (document.activeElement === editor) editor.setSelectionRange(start, end);
+    editor.scrollTop = scrollTop; editor.scrollLeft = scrollLeft;
+
+    applyingRemote = true;
+    handleInput();
+    applyingRemote = false;
+    renderRemoteCursors();
+}
+
+function setRemoteCursors(cursors) {
+    liveCursors = cursors;
+    renderRemoteCursors();
+}
+
+function sendCursor() {
+    clearTimeout(cursorTimer);
+    cursorTimer = setTimeout(() => {
+        if (liveSession && liveSession.session) liveSession.session.setCursor(editor.selectionStart, editor.selectionEnd);
+    }, 80);
+}
+
+let charWidth = 0;
+function measureCharWidth() {
+    const probe = document.createElement('span');
+    probe.textContent = 'M'.repeat(100);
+    probe.style.visibility = 'hidden';
+    codeContent.appendChild(probe);
+    charWidth = probe.getBoundingClientRect().width / 100 || 8.4;
+    probe.remove();
+    return charWidth;
+}
+
+// Visual width in columns, with tabs expanded to 4
+function visualColumns(str) {
+    let col = 0;
+    for (const ch of str) col = ch === '\t' ? col + 4 - (col % 4) : col + 1;
+    return col;
+}
+
+function caretPosition(text, index) {
+    let line = 0, lineStart = 0;
+    for (let i = text.indexOf('\n'); i !== -1 && i < index; i = text.indexOf('\n', i + 1)) { line++; lineStart = i + 1; }
+    return { line, col: visualColumns(text.slice(lineStart, index)) };
+}
+
+function renderRemoteCursors() {
+    const layer = cursorLayer.firstElementChild;
+    layer.innerHTML = '';
+    if (!liveCursors.length) return;
+
+    const style = getComputedStyle(editor);
+    const padLeft = parseFloat(style.paddingLeft) || 0, padTop = parseFloat(style.paddingTop) || 0;
+    const lineHeight = parseFloat(style.lineHeight) || 24;
+    const cw = charWidth || measureCharWidth();
+    const text = editor.value;
+    const lines = text.split('\n');
+
+    for (const cursor of liveCursors) {
+        const who = liveParticipants.find((p) => p.id === cursor.id);
+        if (!who) continue;
+        const from = caretPosition(text, Math.min(cursor.start, cursor.end));
+        const to = caretPosition(text, Math.max(cursor.start, cursor.end));
+
+        // Selection: one band per line, capped so a select-all on a huge paste stays cheap
+        for (let line = from.line; line <= to.line && line - from.line < 500 && cursor.start !== cursor.end; line++) {
+            const band = document.createElement('div');
+            band.className = 'remote-selection';
+            const startCol = line === from.line ? from.col : 0;
+            const endCol = line === to.line ? to.col : visualColumns(lines[line]) + 1; // +1 shows the selected line break
+            const width = Math.max(endCol - startCol, 0);
+            Object.assign(band.style, { left: `${padLeft + startCol * cw}px`, top: `${padTop + line * lineHeight}px`, width: `${width * cw}px`, height: `${lineHeight}px`, background: who.color });
+            layer.appendChild(band);
+        }
+
+        const caret = document.createElement('div');
+        caret.className = 'remote-caret';
+        const head = caretPosition(text, cursor.end);
+        Object.assign(caret.style, { left: `${padLeft + head.col * cw}px`, top: `${padTop + head.line * lineHeight}px`, height: `${lineHeight}px`, background: who.color });
+        const label = document.createElement('span');
+        label.className = 'remote-caret-label';
+        label.textContent = who.name;
+        label.style.background = who.color;
+        caret.appendChild(label);
+        layer.appendChild(caret);
+    }
+}
+
+if (liveBtn) liveBtn.addEventListener('click', startLiveSession);
+if (liveEndBtn) liveEndBtn.addEventListener('click', () => endLiveSession(liveSession && liveSession.role === 'host' ? 'You ended the live session' : 'You left the live session'));
+['keyup', 'mouseup', 'select', 'input', 'focus'].forEach((ev) => editor.addEventListener(ev, () => { if (liveSession) sendCursor(); }));
+window.addEventListener('resize', () => { charWidth = 0; measureEditor(); renderViewport(); if (liveSession) renderRemoteCursors(); });
+
+/* =========================================
+   HISTORY & DRAFTS (INDEXEDDB)
+   ========================================= */
+
+// Only typing saves the draft, so opening a link never overwrites unsent work
+function scheduleDraftSave() {
+    if (liveSession && liveSession.role === 'guest') return;
+    clearTimeout(draftTimer);
+    draftTimer = setTimeout(() => {
+        if (ephemeral) return; // Checked when the timer fires, in case a view-once paste arrived meanwhile
+        // An encrypted paste comes back from its link in the address bar; its plaintext stays off disk
+        const save = encryption.mode ? clearDraft() : saveDraft({ files: files.map((f) => ({ ...f })), activeFile, diff: diffMode, ...pasteMeta });
+        save.catch(() => {});
+    }, DRAFT_SAVE_DELAY);
+}
+
+async function restoreDraft() {
+    let draft = null;
+    try { draft = await loadDraft(); } catch (e) {}
+    if (!draft || files.some((f) => f.text) || window.location.hash.length > 1) return;
+    applyMeta({ title: draft.title, createdAt: draft.createdAt, expiresAt: draft.expiresAt });
+    loadFiles(draft.files, draft.activeFile, !!draft.diff);
+}
+
+function rememberPaste(link, source) {
+    if (ephemeral) return;
+    const language = files.length === 1 ? languageForFile(files[0]) : null;
+    // The key after the last dot would open the paste on its own, so History never stores it
+    const keyless = encryption.mode === MODE_KEY;
+    recordPaste({
+        link: keyless ? link.split('.')[0] : link,
+        title: pasteMeta.title, language, files, encrypted: !!encryption.mode, keyless,
+        createdAt: pasteMeta.createdAt, expiresAt: pasteMeta.expiresAt, source
+    }).catch(() => {});
+}
+
+function formatSize(bytes) {
+    return bytes < 1024 ? `${bytes} B` : bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function historyTitle(entry) {
+    if (entry.title) return entry.title;
+    const firstLine = entry.preview.split('\n').find((line) => line.trim());
+    return firstLine ? firstLine.trim().slice(0, 80) : entry.encrypted ? 'Encrypted paste' : 'Untitled';
+}
+
+async function renderHistory() {
+    let entries;
+    try { entries = await listPastes(); } catch (e) {
+        historyList.innerHTML = `<div class="text-red-500 text-xs py-6 text-center">History is unavailable in this browser.</div>`;
+        return;
+    }
+    const query = historySearch.value.trim().toLowerCase();
+    if (query) entries = entries.filter((e) => [e.title, e.language, e.preview, ...e.files].some((v) => v && v.toLowerCase().includes(query)));
+
+    historyList.innerHTML = '';
+    if (!entries.length) {
+        historyList.innerHTML = `<div class="text-zinc-600 text-xs py-6 text-center">${query ? 'No matches.' : 'Nothing here yet. Shared and opened pastes show up here.'}</div>`;
+        return;
+    }
+    for (const entry of entries) {
+        const row = document.createElement('div');
+        row.className = 'history-item';
+        row.dataset.id = entry.id;
+
+        const info = document.createElement('div');
+        info.className = 'flex-1 min-w-0';
+        const title = document.createElement('div');
+        title.className = 'text-zinc-200 text-xs truncate';
+        title.textContent = historyTitle(entry);
+        const details = document.createElement('div');
+        details.className = 'text-[10px] font-mono text-zinc-500 uppercase tracking-wider truncate';
+        const kind = entry.files.length > 1 ? `${entry.files.length} files` : (entry.language || 'text');
+        details.textContent = `${entry.encrypted ? '🔒 ' : ''}${kind} · ${formatSize(entry.size)} · ${new Date(entry.usedAt).toLocaleString()} · ${entry.source}${entry.keyless ? ' · key not saved' : ''}`;
+        info.append(title, details);
+
+        const actions = document.createElement('div');
+        actions.className = 'flex items-center gap-1 shrink-0';
+        if (entry.keyless) row.title = 'The key is not saved. Open this paste from its original link.';
+        for (const [action, label, hint] of [entry.keyless ? null : ['copy', 'Copy', 'Copy link'], ['pin', entry.pinned ? 'Unpin' : 'Pin', 'Keep at the top'], ['delete', '×', 'Remove from history']].filter(Boolean)) {
+            const btn = document.createElement('button');
+            btn.className = 'history-action' + (action === 'pin' && entry.pinned ? ' active' : '');
+            btn.dataset.action = action;
+            btn.title = hint;
+            btn.textContent = label;
+            actions.appendChild(btn);
+        }
+        row.append(info, actions);
+        historyList.appendChild(row);
+    }
+}
+
+function openHistory() {
+    historySearch.value = '';
+    historyModal.classList.remove('hidden');
+    renderHistory();
+    historySearch.focus();
+}
+
+async function handleHistoryClick(e) {
+    const row = e.target.closest('.history-item');
+    if (!row) return;
+    const entry = (await listPastes()).find((p) => p.id === row.dataset.id);
+    if (!entry) return;
+    const action = e.target.closest('[data-action]');
+
+    if (!action) {
+        if (entry.keyless) {
+            const details = row.querySelector('.font-mono');
+            details.textContent = 'Key not saved: open this paste from its original link';
+            setTimeout(renderHistory, 3000);
+            return;
+        }
+        historyModal.classList.add('hidden');
+        if (liveSession) endLiveSession();
+        window.history.replaceState(null, null, entry.link.length < 50000 ? '#' + entry.link : ' ');
+        decodeUrl(entry.link);
+    } else if (action.dataset.action === 'copy') {
+        await navigator.clipboard.writeText(`${window.location.origin}${window.location.pathname}#${entry.link}`);
+        action.textContent = 'Copied!';
+        setTimeout(() => { action.textContent = 'Copy'; }, 2000);
+    } else if (action.dataset.action === 'pin') {
+        await setPinned(entry.id, !entry.pinned);
+        renderHistory();
+    } else if (action.dataset.action === 'delete') {
+        await deletePaste(entry.id);
+        renderHistory();
+    }
+}
+
+if (historyBtn) historyBtn.addEventListener('click', openHistory);
+if (closeHistory) closeHistory.addEventListener('click', () => historyModal.classList.add('hidden'));
+if (historyModal) historyModal.addEventListener('click', (e) => { if (e.target === historyModal) historyModal.classList.add('hidden'); });
+if (historySearch) historySearch.addEventListener('input', renderHistory);
+if (historyList) historyList.addEventListener('click', (e) => { handleHistoryClick(e).catch(() => {}); });
+if (historyExport) historyExport.addEventListener('click', async () => {
+    try {
+        const data = await exportHistory();
+        saveBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `SharePaste-history-${new Date().toISOString().slice(0, 10)}.json`);
+    } catch (e) {}
+});
+
+/* =========================================
+   EXPORT
+   ========================================= */
+
+function exportBaseName() {
+    return (pasteMeta.title || 'SharePaste').replace(/[\\/:*?"<>|]+/g, '-');
+}
+
+// Unnamed files are saved under the extension of their language, or the name it goes by (Dockerfile);
+// a single one is named after the title
+function uniqueNames() {
+    const seen = new Set();
+    return files.map((file, i) => {
+        const stem = diffMode ? ['before', 'after'][i] : files.length > 1 ? `untitled-${i + 1}` : exportBaseName();
+        let name = file.name || languageFileName(languageForFile(file), stem);
+        const dot = name.lastIndexOf('.');
+        const base = dot > 0 ? name.slice(0, dot) : name, ext = dot > 0 ? name.slice(dot) : '';
+        for (let n = 2; seen.has(name); n++) name = `${base}-${n}${ext}`;
+        seen.add(name);
+        return name;
+    });
+}
+
+function saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename; 
+    document.body.appendChild(a); 
+    a.click(); 
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// Several files download as one zip
+function downloadFiles() {
+    const names = uniqueNames();
+    if (files.length === 1) {
+        saveBlob(new Blob([files[0].text], { type: 'text/plain' }), names[0]);
+    } else {
+        saveBlob(createZip(files.map((f, i) => ({ name: names[i], text: f.text }))), `${exportBaseName()}.zip`);
+    }
+}
+
+// Whether the editor's highlight layer has caught up with its text
+function highlightComplete() {
+    return lines.every((line, i) => highlightCache[i] && highlightCache[i].text === line);
+}
+
+// Highlighted HTML per line of a file, reusing what is on screen when it is complete
+function highlightForExport(index) {
+    const file = files[index];
+    if (diffData && diffHighlighted.length === diffData.before.length + diffData.after.length && !diffHighlighted.includes(undefined)) {
+        const split = diffData.before.length;
+        return Promise.resolve(index === 0 ? diffHighlighted.slice(0, split) : diffHighlighted.slice(split));
+    }
+    if (index === activeFile && !diffData && highlightComplete()) return Promise.resolve(highlightCache.slice(0, lines.length).map((c) => c.html));
+
+    const source = file.text.split('\n');
+    const worker = getHighlightWorker();
+    if (!worker || source.length > HIGHLIGHT_LIMIT) return Promise.resolve(source.map(escapeHtml));
+    abandonExportHighlight(); // The worker drops an older export once this one arrives
+    return new Promise((resolve) => {
+        exportHighlight = { id: ++exportHighlightId, source, lines: [], resolve };
+        worker.postMessage({ id: exportHighlight.id, text: file.text, language: languageForFile(file), focus: 0, lane: 'export' });
+    });
+}
+
+function handleExportHighlight(data) {
+    if (!exportHighlight || data.id !== exportHighlight.id) return;
+    for (let i = 0; i < data.lines.length; i++) exportHighlight.lines[data.start + i] = data.lines[i];
+    if (!data.done) return;
+    exportHighlight.resolve(exportHighlight.lines);
+    exportHighlight = null;
+}
+
+// An export whose answer won't come still goes out, as plain text
+function abandonExportHighlight() {
+    if (!exportHighlight) return;
+    exportHighlight.resolve(exportHighlight.source.map(escapeHtml));
+    exportHighlight = null;
+}
+
+// Images and Markdown cover the lines picked in the gutter, or else the whole file
+function exportRange(total) {
+    if (!lineSelection || diffData) return [0, total];
+    return [lineSelection.start - 1, Math.min(lineSelection.end, total)];
+}
+
+async function exportAs(format) {
+    if (format === 'file') { downloadFiles(); return; }
+    const file = files[activeFile];
+    const language = languageForFile(file);
+    const name = uniqueNames()[activeFile];
+    const stem = name.lastIndexOf('.') > 0 ? name.slice(0, name.lastIndexOf('.')) : name;
+    const source = file.text.split('\n');
+    const [start, end] = exportRange(source.length);
+
+    if (format === 'markdown') {
+        await navigator.clipboard.writeText(toMarkdown(source.slice(start, end).join('\n'), language));
+        return;
+    }
+
+    const html = await highlightForExport(activeFile);
+    const style = window.getComputedStyle(editor);
+    const options = {
+        title: file.name || pasteMeta.title,
+        background: themes[currentThemeIndex].bg,
+        font: { family: style.fontFamily || 'monospace', size: parseFloat(style.fontSize) || 14, lineHeight: metrics.lineHeight }
+    };
+    if (format === 'html') {
+        saveBlob(new Blob([toHtml(resolveStyles(html, language), options)], { type: 'text/html' }), `${stem}.html`);
+        return;
+    }
+    const snippet = resolveStyles(html.slice(start, Math.min(end, start + IMAGE_LINE_LIMIT)), language);
+    if (format === 'svg') saveBlob(new Blob([toSvg(snippet, options)], { type: 'image/svg+xml' }), `${stem}.svg`);
+    else saveBlob(await toPng(snippet, options), `${stem}.png`);
+}
+
+// Whether a code image of the active file would stop short of the lines it covers
+function imageCutOff() {
+    const [start, end] = exportRange(files[activeFile].text.split('\n').length);
+    return end - start > IMAGE_LINE_LIMIT;
+}
+
+function toggleExportMenu(open = exportMenu.classList.contains('hidden')) {
+    if (open) {
+        exportFileName.textContent = files.length > 1 ? `${exportBaseName()}.zip` : uniqueNames()[0];
+        const cutOff = imageCutOff();
+        exportMenu.querySelectorAll('[data-format="png"], [data-format="svg"]').forEach((item) => {
+            item.querySelector('.export-hint').textContent = `.${item.dataset.format}${cutOff ? ` · first ${IMAGE_LINE_LIMIT} lines` : ''}`;
+            item.title = cutOff ? `Images stop after ${IMAGE_LINE_LIMIT} lines; pick lines in the gutter to choose which` : '';
         });
+    }
+    exportMenu.classList.toggle('hidden', !open);
+}
+
+if (downloadBtn) {
+    downloadBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (!files.some((f) => f.text.trim())) return;
+        toggleExportMenu();
     });
 }
 
+if (exportMenu) {
+    exportMenu.addEventListener('click', async (e) => {
+        const item = e.target.closest('.export-item');
+        if (!item) return;
+        const format = item.dataset.format;
+        if (format !== 'file' && !files[activeFile].text.trim()) return;
+
+        const label = item.querySelector('.export-label');
+        const original = label.textContent;
+        const cutOff = (format === 'png' || format === 'svg') && imageCutOff();
+        try {
+            await exportAs(format);
+            if (cutOff) label.textContent = `Saved the first ${IMAGE_LINE_LIMIT} lines`;
+            else if (format === 'markdown') label.textContent = 'Copied!';
+            else { toggleExportMenu(false); return; }
+        } catch (err) {
+            console.error(err);
+            label.textContent = 'Export failed';
+        }
+        setTimeout(() => { label.textContent = original; toggleExportMenu(false); }, 1500);
+    });
+    document.addEventListener('click', (e) => { if (!exportMenu.contains(e.target)) toggleExportMenu(false); });
+    document.addEventListener('keydown', (e) => { if (e.key === 'Escape') toggleExportMenu(false); });
+}
+
 /* =========================================
    GENERIC EVENT BINDINGS
    ========================================= */
 editor.addEventListener('scroll', handleScroll);
 editor.addEventListener('input', handleInput);
+editor.addEventListener('input', scheduleDraftSave);
 editor.addEventListener('keydown', (e) => {
     if (e.key === 'Tab') {
         e.preventDefault();
@@ -325,28 +1922,25 @@ editor.addEventListener('keydown', (e) => {
     }
 });
 
-// Always download strictly as SharePaste.txt
-if (downloadBtn) {
-    downloadBtn.addEventListener('click', () => {
-        const text = editor.value;
-        if (!text.trim()) return;
-        
-        const blob = new Blob([text], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `SharePaste.txt`; 
-        document.body.appendChild(a); 
-        a.click(); 
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-    });
-}
-
 if (sendBtn) sendBtn.addEventListener('click', openShareMenu);
 
-if (closeShare) closeShare.addEventListener('click', () => { shareModal.classList.add('hidden'); if(currentPeer) currentPeer.destroy(); });
-if (shareModal) shareModal.addEventListener('click', (e) => { if (e.target === shareModal) { shareModal.classList.add('hidden'); if(currentPeer) currentPeer.destroy(); }});
+if (encryptModes) encryptModes.addEventListener('click', (e) => { const btn = e.target.closest('.encrypt-mode'); if (btn) setEncryptionMode(btn.dataset.mode); });
+if (shareTitle) shareTitle.addEventListener('change', () => {
+    pasteMeta.title = shareTitle.value.trim();
+    document.title = pasteMeta.title ? `${pasteMeta.title} | SharePaste` : DEFAULT_TITLE;
+    openShareMenu();
+});
+if (shareExpiry) shareExpiry.addEventListener('change', () => {
+    if (shareExpiry.value === 'until') return;
+    pasteMeta.expiresAt = shareExpiry.value ? Date.now() + Number(shareExpiry.value) * 3600 * 1000 : null;
+    scheduleDraftSave();
+    openShareMenu();
+});
+if (shareReceivers) shareReceivers.addEventListener('change', () => { receiverLimit = Number(shareReceivers.value); openShareMenu(); });
+if (sharePassphrase) sharePassphrase.addEventListener('keydown', (e) => { if (e.key === 'Enter') setEncryptionMode('passphrase'); });
+
+if (closeShare) closeShare.addEventListener('click', () => { shareModal.classList.add('hidden'); stopQrAnimation(); if(currentPeer) currentPeer.destroy(); });
+if (shareModal) shareModal.addEventListener('click', (e) => { if (e.target === shareModal) { shareModal.classList.add('hidden'); stopQrAnimation(); if(currentPeer) currentPeer.destroy(); }});
 
 if (modalCopyBtn) {
     modalCopyBtn.addEventListener('click', () => {
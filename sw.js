@@ -0,0 +1,136 @@
+/*
+ * SharePaste - Service worker
+ *
+ * The app shell is network-first so a deploy shows up on the next load, falling back to the
+ * cache offline. Vendored files never change under the same path, so they are cache-first;
+ * every grammar the language picker offers is precached, so highlighting works offline from the
+ * first visit; any other grammar a link names is stored the first time it loads. The font and
+ * styles are vendored as well, so no CDN is involved.
+ *
+ * Every navigation is the same shell, so it is fetched and cached without its query string.
+ * The share target is a POST this worker answers itself: the shared text waits here in memory
+ * until the page it redirects to collects it, and never goes over the network or into a URL.
+ */
+
+const CACHE = 'sharepaste-v3';
+const SHARE_PATH = new URL('share-target', self.registration.scope).pathname;
+
+const SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'manifest.webmanifest',
+    'script.js',
+    'codec.js',
+    'codec-worker.js',
+    'collab.js',
+    'dictionaries.js',
+    'diff.js',
+    'encryption.js',
+    'export.js',
+    'highlight-worker.js',
+    'history.js',
+    'language.js',
+    'linkcodec.js',
+    'payload.js',
+    'qrframes.js',
+    'transfer.js',
+    'zip.js',
+    'zstd.js',
+    'zstd.wasm',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'vendor/prism/prism-core.min.js',
+    'vendor/prism/themes/prism-tomorrow.min.css',
+    'vendor/prism/themes/prism-okaidia.min.css',
+    'vendor/prism/themes/prism-twilight.min.css',
+    'vendor/prism/themes/prism-funky.min.css',
+    'vendor/qrcodejs/qrcode.min.js',
+    'vendor/peerjs/peerjs.min.js',
+    'vendor/jsqr/jsQR.min.js',
+    'vendor/tailwind/tailwind.min.css',
+    'vendor/inter/inter.css',
+    'vendor/inter/inter-latin-300-normal.woff2',
+    'vendor/inter/inter-latin-400-normal.woff2',
+    'vendor/inter/inter-latin-500-normal.woff2',
+    'vendor/inter/inter-latin-ext-300-normal.woff2',
+    'vendor/inter/inter-latin-ext-400-normal.woff2',
+    'vendor/inter/inter-latin-ext-500-normal.woff2'
+];
+
+// Every grammar in LANGUAGES (language.js) and the ones they build on (REQUIRES in highlight-worker.js)
+const GRAMMARS = [
+    'clike', 'markup', 'markup-templating', 'bash', 'c', 'cpp', 'csharp', 'css', 'diff', 'docker', 'go', 'ini',
+    'java', 'javascript', 'json', 'jsx', 'kotlin', 'lua', 'markdown', 'php', 'powershell', 'python', 'ruby',
+    'rust', 'scss', 'sql', 'swift', 'toml', 'tsx', 'typescript', 'yaml'
+].map((name) => `vendor/prism/components/prism-${name}.min.js`);
+
+let shared = null; // { title, text, url } from the share target, until the page takes it
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE)
+            .then((cache) => cache.addAll([...SHELL, ...GRAMMARS]))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(keys.filter((key) => key.startsWith('sharepaste-') && key !== CACHE).map((key) => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+        return response;
+    } catch (e) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw e;
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+}
+
+async function receiveShare(request) {
+    const form = await request.formData();
+    shared = { title: form.get('title') || '', text: form.get('text') || '', url: form.get('url') || '' };
+    return Response.redirect(new URL('./?shared', self.registration.scope).href, 303);
+}
+
+function takeShare() {
+    const body = JSON.stringify(shared);
+    shared = null;
+    return new Response(body, { headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' } });
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    const local = url.origin === self.location.origin;
+
+    if (local && url.pathname === SHARE_PATH) {
+        event.respondWith(request.method === 'POST' ? receiveShare(request) : takeShare());
+        return;
+    }
+    if (request.method !== 'GET') return;
+
+    if (local && request.mode === 'navigate') {
+        event.respondWith(networkFirst(new Request(url.origin + url.pathname)));
+    } else if (local) {
+        event.respondWith(url.pathname.includes('/vendor/') ? cacheFirst(request) : networkFirst(request));
+    }
+});
@@ -0,0 +1,180 @@
+// Runs live sessions over in-memory channels and checks everyone ends on the host's text: node --test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LIVE_PROTOCOL_VERSION, applyOp, composeOps, transformOps, createHostSession, joinSession } from '../collab.js';
+import { createMemoryChannelPair } from '../transfer.js';
+
+const settle = (ms = 60) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The operation deleting `remove` characters at `at` and inserting `insert` there
+function splice(text, at, remove, insert = '') {
+    const ops = [];
+    if (at) ops.push(at);
+    if (insert) ops.push(insert);
+    if (remove) ops.push(-remove);
+    if (text.length - at - remove) ops.push(text.length - at - remove);
+    return ops;
+}
+
+// A host plus the editors around it, each holding its own copy of the text
+function startHost(text) {
+    const host = { text, events: [] };
+    host.session = createHostSession({
+        text,
+        onRemoteOp: (op) => { host.text = applyOp(op, host.text); },
+        onCursors: () => {},
+        onParticipants: (list) => host.events.push(list.length)
+    });
+    host.edit = (at, remove, insert) => {
+        const op = splice(host.text, at, remove, insert);
+        host.text = applyOp(op, host.text);
+        host.session.applyLocal(op);
+    };
+    return host;
+}
+
+async function joinGuest(host, { latency = 2, name = '' } = {}) {
+    const [hostEnd, guestEnd] = createMemoryChannelPair({ latency });
+    host.session.addGuest(hostEnd);
+    const guest = { text: null, ended: null };
+    guest.session = joinSession(guestEnd, {
+        name,
+        onWelcome: ({ text }) => { guest.text = text; },
+        onRemoteOp: (op) => { guest.text = applyOp(op, guest.text); },
+        onCursors: () => {},
+        onParticipants: () => {},
+        onEnd: (reason) => { guest.ended = reason; }
+    });
+    guest.edit = (at, remove, insert) => {
+        const op = splice(guest.text, at, remove, insert);
+        guest.text = applyOp(op, guest.text);
+        guest.session.applyLocal(op);
+    };
+    await settle();
+    return guest;
+}
+
+function close(host, guests) {
+    guests.forEach((g) => g.session.close());
+    host.session.close();
+}
+
+function assertConverged(host, guests) {
+    for (const guest of guests) assert.equal(guest.text, host.text);
+}
+
+test('concurrent inserts at the same offset converge', async () => {
+    const host = startHost('hello world');
+    const guests = [await joinGuest(host), await joinGuest(host)];
+    host.edit(5, 0, ' there');
+    guests[0].edit(5, 0, ',');
+    guests[1].edit(5, 0, '!');
+    await settle();
+    assertConverged(host, guests);
+    for (const part of [' there', ',', '!']) assert.ok(host.text.includes(part));
+    assert.equal(host.text.length, 'hello world'.length + 8);
+    close(host, guests);
+});
+
+test('concurrent deletes of the same and overlapping spans converge', async () => {
+    const host = startHost('0123456789abcdef');
+    const guests = [await joinGuest(host), await joinGuest(host)];
+    host.edit(4, 4);           // 4567
+    guests[0].edit(4, 4);      // the same span
+    guests[1].edit(6, 4);      // 6789, overlapping it
+    await settle();
+    assertConverged(host, guests);
+    assert.equal(host.text, '0123abcdef');
+    close(host, guests);
+});
+
+test('an insert inside a span someone else deletes converges', async () => {
+    const host = startHost('function add(a, b) {}');
+    const guests = [await joinGuest(host)];
+    host.edit(12, 4);                  // "a, b" goes
+    guests[0].edit(14, 0, ' /* c */'); // while the guest types between a and b
+    await settle();
+    assertConverged(host, guests);
+    assert.ok(host.text.includes('/* c */'));
+    close(host, guests);
+});
+
+test('nearby edits from every side converge', async () => {
+    const host = startHost('abcdefghij');
+    const guests = [await joinGuest(host), await joinGuest(host)];
+    host.edit(2, 1, 'X');
+    guests[0].edit(3, 2, 'Y');
+    guests[1].edit(1, 2);
+    await settle();
+    assertConverged(host, guests);
+    close(host, guests);
+});
+
+test('a guest typing ahead of its acks converges', async () => {
+    const host = startHost('');
+    const slow = await joinGuest(host, { latency: 15 });
+    const fast = await joinGuest(host);
+    // Several edits before the first ack: one in flight, the rest composed in the buffer
+    for (const char of 'slow') slow.edit(slow.text.length, 0, char);
+    for (const char of 'fast') { fast.edit(0, 0, char); host.edit(host.text.length, 0, '.'); }
+    slow.edit(0, 1);
+    await settle(200);
+    assertConverged(host, [slow, fast]);
+    assert.equal(host.text.length, 'slowfast....'.length - 1);
+    close(host, [slow, fast]);
+});
+
+test('a late joiner gets the current text and keeps up', async () => {
+    const host = startHost('first');
+    const early = await joinGuest(host);
+    host.edit(5, 0, ' second');
+    early.edit(0, 0, '> ');
+    await settle();
+    const late = await joinGuest(host, { name: 'Late' });
+    assert.equal(late.text, host.text);
+    late.edit(late.text.length, 0, ' third');
+    early.edit(2, 0, '*');
+    host.edit(0, 0, '#');
+    await settle();
+    assertConverged(host, [early, late]);
+    assert.deepEqual(host.session.participants().map((p) => p.name), ['Host', 'Guest 1', 'Late']);
+    close(host, [early, late]);
+});
+
+test('refuses a guest on another protocol version', async () => {
+    const host = startHost('text');
+    const [hostEnd, guestEnd] = createMemoryChannelPair({ latency: 1 });
+    host.session.addGuest(hostEnd);
+    const replies = [];
+    guestEnd.onMessage((m) => replies.push(m));
+    guestEnd.send({ type: 'join', version: LIVE_PROTOCOL_VERSION + 1 });
+    await settle();
+    assert.deepEqual(replies, [{ type: 'error', reason: 'The host runs a different SharePaste version' }]);
+    host.session.close();
+});
+
+// A small seeded generator, so a failure names an input that reproduces it
+function random(seed) {
+    return () => { seed = (seed * 1103515245 + 12345) % 2147483648; return seed / 2147483648; };
+}
+
+function randomOp(text, next) {
+    const at = Math.floor(next() * (text.length + 1));
+    const remove = Math.floor(next() * Math.min(4, text.length - at + 1));
+    const insert = next() < 0.6 ? 'xyz'.slice(0, 1 + Math.floor(next() * 3)) : '';
+    return splice(text, at, remove, insert);
+}
+
+test('transform and compose hold for random edits', () => {
+    const next = random(42);
+    for (let round = 0; round < 500; round++) {
+        const text = 'abcdefghijkl'.slice(0, Math.floor(next() * 13));
+        const a = randomOp(text, next), b = randomOp(text, next);
+        const [a1, b1] = transformOps(a, b);
+        assert.equal(applyOp(b1, applyOp(a, text)), applyOp(a1, applyOp(b, text)), `transform ${JSON.stringify([text, a, b])}`);
+
+        const after = applyOp(a, text);
+        const c = randomOp(after, next);
+        assert.equal(applyOp(composeOps(a, c), text), applyOp(c, after), `compose ${JSON.stringify([text, a, c])}`);
+    }
+});
@@ -0,0 +1,66 @@
+// Checks history and draft expiry against a small in-memory IndexedDB: node --test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Just the part of IndexedDB history.js uses: one database, get/getAll/put/delete, async requests
+function memoryIndexedDb() {
+    const stores = new Map();
+    const answer = (result) => {
+        const req = { result };
+        setTimeout(() => req.onsuccess());
+        return req;
+    };
+    const db = {
+        objectStoreNames: { contains: (name) => stores.has(name) },
+        createObjectStore: (name, { keyPath }) => stores.set(name, { keyPath, rows: new Map() }),
+        transaction: (name) => ({
+            objectStore: () => {
+                const { keyPath, rows } = stores.get(name);
+                return {
+                    get: (key) => answer(structuredClone(rows.get(key))),
+                    getAll: () => answer([...rows.values()].map((row) => structuredClone(row))),
+                    put: (row) => { rows.set(row[keyPath], structuredClone(row)); return answer(row[keyPath]); },
+                    delete: (key) => { rows.delete(key); return answer(undefined); }
+                };
+            }
+        })
+    };
+    return {
+        stores,
+        open() {
+            const req = { result: db };
+            setTimeout(() => { req.onupgradeneeded(); req.onsuccess(); });
+            return req;
+        }
+    };
+}
+
+const indexedDB = memoryIndexedDb();
+globalThis.window = { indexedDB };
+const { saveDraft, loadDraft, recordPaste, listPastes } = await import('../history.js');
+
+const files = [{ name: '', language: null, text: 'echo hi' }];
+
+test('restores a draft that has not expired', async () => {
+    await saveDraft({ files, createdAt: 1000, expiresAt: Date.now() + 60000 });
+    const draft = await loadDraft();
+    assert.equal(draft.files[0].text, 'echo hi');
+});
+
+test('drops a draft once its paste has expired', async () => {
+    await saveDraft({ files, createdAt: 1000, expiresAt: Date.now() - 1 });
+    assert.equal(await loadDraft(), null);
+    assert.equal(indexedDB.stores.get('drafts').rows.size, 0, 'deleted, not just hidden');
+});
+
+test('keeps drafts without an expiry', async () => {
+    await saveDraft({ files });
+    assert.equal((await loadDraft()).expiresAt, null);
+});
+
+test('drops expired pastes from the history list', async () => {
+    await recordPaste({ link: 'a', files, createdAt: 2000, expiresAt: Date.now() - 1, source: 'created' });
+    await recordPaste({ link: 'b', files, createdAt: 3000, expiresAt: Date.now() + 60000, source: 'created' });
+    await recordPaste({ link: 'c', files, createdAt: 4000, source: 'opened' });
+    assert.deepEqual((await listPastes()).map((entry) => entry.link).sort(), ['b', 'c']);
+});
@@ -0,0 +1,74 @@
+// Checks language detection against the sample corpus in test/corpus: node --test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { LANGUAGES, FALLBACK_LANGUAGE, detectLanguages, detectLanguage, languageFileName } from '../language.js';
+
+// <id>.snippet is each language's main sample, <id>-<case>.snippet a harder one; the .snippet
+// extension keeps the file name from giving the answer away
+const CORPUS = new URL('./corpus/', import.meta.url);
+const sample = (name) => readFileSync(new URL(`${name}.snippet`, CORPUS), 'utf8');
+const names = readdirSync(CORPUS).filter((f) => f.endsWith('.snippet')).map((f) => f.slice(0, -'.snippet'.length));
+
+test('has a sample for every language', () => {
+    for (const { id } of LANGUAGES) assert.ok(names.includes(id), `test/corpus/${id}.snippet`);
+});
+
+for (const name of names) {
+    const id = name.split('-')[0];
+    test(`detects ${name} as ${id}`, () => {
+        const [best] = detectLanguages(sample(name));
+        if (id === FALLBACK_LANGUAGE) assert.equal(best, undefined);
+        else assert.equal(best && best.language, id);
+    });
+}
+
+// The old regex chain called anything with `class` Java and anything with `print(` Python
+test('is not fooled by keywords languages share', () => {
+    assert.equal(detectLanguage('class Repo(val name: String) {\n    fun label() = "repo: $name"\n}\n'), 'kotlin');
+    assert.equal(detectLanguage('public class Repo\n{\n    public string Name { get; set; }\n}\n'), 'csharp');
+    assert.equal(detectLanguage('<?php\nclass Repo {\n    public $name;\n}\n'), 'php');
+    assert.equal(detectLanguage('func sum(_ values: [Int]) -> Int {\n    let total = values.reduce(0, +)\n    print("total: \\(total)")\n    return total\n}\n'), 'swift');
+    assert.equal(detectLanguage('local total = 0\nprint("total: " .. total)\n'), 'lua');
+    assert.equal(detectLanguage('services:\n  web:\n    image: nginx\n    ports:\n      - "80:80"\n'), 'yaml');
+    assert.equal(detectLanguage('## Usage\n\nRun `npm start` and open the [app](http://localhost:3000).\n'), 'markdown');
+});
+
+test('falls back to plain text for prose', () => {
+    assert.equal(detectLanguage(sample(FALLBACK_LANGUAGE)), FALLBACK_LANGUAGE);
+    assert.equal(detectLanguage('   \n'), FALLBACK_LANGUAGE);
+});
+
+test('trusts a known filename over the content', () => {
+    const code = sample('javascript');
+    assert.deepEqual(detectLanguages(code, 'notes/setup.py'), [{ language: 'python', score: Infinity, confidence: 1 }]);
+    assert.equal(detectLanguage(code, 'Dockerfile'), 'docker');
+    assert.equal(detectLanguage(code, 'build/app.dockerfile'), 'docker');
+    assert.equal(detectLanguage(code, 'config.YML'), 'yaml');
+    // Unknown extensions fall through to the content
+    assert.equal(detectLanguage(code, 'README'), 'javascript');
+    assert.equal(detectLanguage(code, 'data.unknownext'), 'javascript');
+});
+
+test('names saved files the way each language expects', () => {
+    assert.equal(languageFileName('python', 'notes'), 'notes.py');
+    assert.equal(languageFileName('docker', 'notes'), 'Dockerfile');
+    assert.equal(languageFileName('plaintext', 'notes'), 'notes.txt');
+    assert.equal(languageFileName('unknown', 'notes'), 'notes.txt');
+});
+
+test('follows the shebang', () => {
+    assert.equal(detectLanguage('#!/usr/bin/env python3\nprint("hi")\n'), 'python');
+    assert.equal(detectLanguage('#!/bin/bash\necho hi\n'), 'bash');
+    assert.equal(detectLanguage('#!/bin/sh\nls\n'), 'bash');
+    assert.equal(detectLanguage('#!/usr/bin/env node\nconsole.log(1)\n'), 'javascript');
+    assert.equal(detectLanguage('#!/usr/bin/env ruby\nputs 1\n'), 'ruby');
+});
+
+test('reports confidence between 0 and 1, best first', () => {
+    for (const name of names) {
+        const ranked = detectLanguages(sample(name));
+        ranked.forEach(({ confidence }) => assert.ok(confidence >= 0 && confidence <= 1));
+        for (let i = 1; i < ranked.length; i++) assert.ok(ranked[i - 1].score >= ranked[i].score);
+    }
+});
@@ -0,0 +1,116 @@
+// Runs the P2P transfer protocol over in-memory channels: node --test
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHUNK_SIZE, PROTOCOL_VERSION, TransferError, createMemoryChannelPair, sendPayload, receivePayload, refusePayload } from '../transfer.js';
+
+function payload(size) {
+    const bytes = new Uint8Array(size);
+    for (let i = 0; i < size; i++) bytes[i] = (i * 31 + 7) & 0xff;
+    return bytes;
+}
+
+// Drops the first `times` messages that match, lets everything else through
+function dropFirst(match, times = 1) {
+    let left = times;
+    return (message) => {
+        if (left > 0 && match(message)) { left--; return true; }
+        return false;
+    };
+}
+
+test('delivers a multi-chunk payload intact', async () => {
+    const data = payload(CHUNK_SIZE * 3 + 123);
+    const [sender, receiver] = createMemoryChannelPair({ latency: 1 });
+    const progress = [];
+    const [received] = await Promise.all([
+        receivePayload(receiver, { onProgress: (p) => progress.push(p) }),
+        sendPayload(sender, data)
+    ]);
+    assert.deepEqual(received, data);
+    assert.equal(progress.at(-1), 1);
+});
+
+test('passes the offer, with keep, to the receiver before any data', async () => {
+    const data = payload(CHUNK_SIZE * 3 + 123);
+    const [sender, receiver] = createMemoryChannelPair({ latency: 1 });
+    const offers = [];
+    let progressAtOffer = null;
+    const progress = [];
+    await Promise.all([
+        receivePayload(receiver, { onProgress: (p) => progress.push(p), onOffer: (o) => { offers.push(o); progressAtOffer = progress.length; } }),
+        sendPayload(sender, data, { keep: false })
+    ]);
+    assert.equal(offers.length, 1);
+    assert.equal(offers[0].chunks, 4);
+    assert.equal(offers[0].keep, false);
+    assert.equal(progressAtOffer, 0);
+
+    const [sender2, receiver2] = createMemoryChannelPair({ latency: 1 });
+    let keep = null;
+    await Promise.all([receivePayload(receiver2, { onOffer: (o) => { keep = o.keep; } }), sendPayload(sender2, data)]);
+    assert.equal(keep, true, 'kept unless the sender says otherwise');
+});
+
+test('resends dropped chunks and acks', async () => {
+    const data = payload(CHUNK_SIZE * 4);
+    const drops = [dropFirst((m) => m.type === 'chunk' && m.index === 1), dropFirst((m) => m.type === 'ack' && m.index === 2)];
+    const [sender, receiver] = createMemoryChannelPair({ latency: 1, drop: (m) => drops.some((drop) => drop(m)) });
+    const [received] = await Promise.all([receivePayload(receiver), sendPayload(sender, data)]);
+    assert.deepEqual(received, data);
+});
+
+test('survives a lost offer and a lost ready', async () => {
+    const data = payload(100);
+    const drops = [dropFirst((m) => m.type === 'offer'), dropFirst((m) => m.type === 'ready')];
+    const [sender, receiver] = createMemoryChannelPair({ latency: 1, drop: (m) => drops.some((drop) => drop(m)) });
+    const started = Date.now();
+    const [received] = await Promise.all([receivePayload(receiver), sendPayload(sender, data)]);
+    assert.deepEqual(received, data);
+    assert.ok(Date.now() - started < 5000, 'recovered by repeating the handshake, not by timing out');
+});
+
+test('rejects data that fails the integrity check on both ends', async () => {
+    const [sender, receiver] = createMemoryChannelPair({ latency: 1 });
+    // Corrupts every chunk on its way out
+    const tampered = { ...sender, send: (m) => sender.send(m.type === 'chunk' ? { ...m, data: m.data.map((b) => b ^ 1) } : m) };
+    const results = await Promise.allSettled([receivePayload(receiver), sendPayload(tampered, payload(5000))]);
+    assert.match(results[0].reason.message, /integrity check/);
+    assert.match(results[1].reason.message, /Integrity check failed/);
+    assert.ok(results.every((r) => r.reason instanceof TransferError));
+});
+
+test('times out when the sender never answers', async () => {
+    const [, receiver] = createMemoryChannelPair();
+    await assert.rejects(receivePayload(receiver, { timeout: 50 }), /Sender stopped responding/);
+});
+
+test('refuses a receiver on another protocol version', async () => {
+    const [sender, receiver] = createMemoryChannelPair({ latency: 1 });
+    const sending = sendPayload(sender, payload(10));
+    // Repeated like a real receiver does, since the sender starts listening once the payload is hashed
+    const hello = setInterval(() => receiver.send({ type: 'hello', version: PROTOCOL_VERSION + 1 }), 10);
+    await assert.rejects(sending, /different SharePaste version/);
+    clearInterval(hello);
+});
+
+test('rejects an offer from another protocol version', async () => {
+    const [sender, receiver] = createMemoryChannelPair({ latency: 1 });
+    sender.onMessage((m) => {
+        if (m.type === 'hello') sender.send({ type: 'offer', version: PROTOCOL_VERSION + 1, size: 1, chunks: 1, chunkSize: CHUNK_SIZE, hash: '' });
+    });
+    await assert.rejects(receivePayload(receiver), /different SharePaste version/);
+});
+
+test('refusePayload turns a receiver away with its reason', async () => {
+    const [sender, receiver] = createMemoryChannelPair({ latency: 1 });
+    refusePayload(sender, 'Already received');
+    await assert.rejects(receivePayload(receiver), /Already received/);
+    receiver.close();
+});
+
+test('fails both ends when the channel closes mid-transfer', async () => {
+    const [sender, receiver] = createMemoryChannelPair({ latency: 1 });
+    const receiving = receivePayload(receiver, { onProgress: () => receiver.close() });
+    const results = await Promise.allSettled([receiving, sendPayload(sender, payload(CHUNK_SIZE * 20))]);
+    assert.ok(results.every((r) => r.status === 'rejected' && /Connection closed/.test(r.reason.message)));
+});
@@ -0,0 +1,229 @@
+/*
+ * SharePaste - Chunked P2P transfer protocol
+ *
+ *   receiver -> sender   { type: 'hello', version }          (repeated until the offer arrives)
+ *   sender   -> receiver { type: 'offer', version, size, chunks, chunkSize, hash, keep }
+ *   receiver -> sender   { type: 'ready' }                   (repeated until the first chunk arrives)
+ *   sender   -> receiver { type: 'chunk', index, data }     (sliding window, resent until acked)
+ *   receiver -> sender   { type: 'ack', index }
+ *   receiver -> sender   { type: 'done', ok }               (ok = SHA-256 of the reassembly matches)
+ *   either               { type: 'error', reason }     (also the sender's answer to a hello it refuses)
+ *
+ * keep: false asks the receiver not to store the payload anywhere it outlives the page (view-once rooms).
+ *
+ * Both ends talk to a "channel" ({ send, onMessage, onClose, close }) rather than to PeerJS
+ * directly, so the protocol can run over createMemoryChannelPair() as well.
+ */
+
+export const PROTOCOL_VERSION = 1;
+export const CHUNK_SIZE = 16 * 1024;
+
+const WINDOW = 8;                      // Chunks in flight before waiting for acks
+const ACK_TIMEOUT = 4000;
+const MAX_RETRIES = 4;
+const IDLE_TIMEOUT = 15000;            // Give up if the other side goes quiet this long
+const MAX_PAYLOAD = 64 * 1024 * 1024;
+
+export class TransferError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TransferError';
+    }
+}
+
+export async function sha256Hex(bytes) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    return Array.from(digest, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    return null;
+}
+
+/* --- CHANNELS --- */
+
+// Adapts a PeerJS DataConnection that is already open
+export function peerChannel(conn) {
+    return {
+        send: (message) => conn.send(message),
+        onMessage: (handler) => conn.on('data', handler),
+        onClose: (handler) => { conn.on('close', handler); conn.on('error', handler); },
+        close: () => conn.close()
+    };
+}
+
+// Two linked in-process channels. `drop(message)` returning true loses that message in transit.
+export function createMemoryChannelPair({ latency = 0, drop = () => false } = {}) {
+    const make = () => ({ messageHandlers: [], closeHandlers: [], closed: false });
+    const a = make(), b = make();
+
+    const channel = (self, other) => ({
+        send(message) {
+            if (self.closed || drop(message)) return;
+            setTimeout(() => { if (!other.closed) other.messageHandlers.forEach((h) => h(message)); }, latency);
+        },
+        onMessage: (handler) => self.messageHandlers.push(handler),
+        onClose: (handler) => self.closeHandlers.push(handler),
+        close() {
+            if (self.closed) return;
+            self.closed = other.closed = true;
+            [...self.closeHandlers, ...other.closeHandlers].forEach((h) => h());
+        }
+    });
+    return [channel(a, b), channel(b, a)];
+}
+
+/* --- SENDER --- */
+
+export async function sendPayload(channel, payload, { onProgress = () => {}, keep = true } = {}) {
+    const hash = await sha256Hex(payload);
+    const total = Math.max(1, Math.ceil(payload.length / CHUNK_SIZE));
+
+    return new Promise((resolve, reject) => {
+        const timers = new Map();      // index -> retry timer, for chunks in flight
+        const attempts = new Map();
+        const acked = new Set();
+        let next = 0, finished = false, idleTimer = null;
+
+        const finish = (error) => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(idleTimer);
+            timers.forEach((t) => clearTimeout(t));
+            if (error) { try { channel.send({ type: 'error', reason: error.message }); } catch (e) {} reject(error); }
+            else resolve();
+        };
+        const resetIdle = () => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => finish(new TransferError('Receiver stopped responding')), IDLE_TIMEOUT);
+        };
+        const sendChunk = (index) => {
+            const tries = (attempts.get(index) || 0) + 1;
+            if (tries > MAX_RETRIES + 1) return finish(new TransferError('Receiver did not acknowledge data'));
+            attempts.set(index, tries);
+            channel.send({ type: 'chunk', index, data: payload.slice(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE) });
+            timers.set(index, setTimeout(() => { if (!finished) sendChunk(index); }, ACK_TIMEOUT));
+        };
+        const pump = () => {
+            while (!finished && next < total && timers.size < WINDOW) sendChunk(next++);
+        };
+
+        channel.onMessage((msg) => {
+            if (finished || !msg || typeof msg !== 'object') return;
+            resetIdle();
+            if (msg.type === 'hello') {
+                if (msg.version !== PROTOCOL_VERSION) return finish(new TransferError('The other device runs a different SharePaste version'));
+                channel.send({ type: 'offer', version: PROTOCOL_VERSION, size: payload.length, chunks: total, chunkSize: CHUNK_SIZE, hash, keep });
+            } else if (msg.type === 'ready') {
+                pump();
+            } else if (msg.type === 'ack') {
+                if (!timers.has(msg.index)) return;
+                clearTimeout(timers.get(msg.index));
+                timers.delete(msg.index);
+                acked.add(msg.index);
+                onProgress(acked.size / total);
+                pump();
+            } else if (msg.type === 'done') {
+                finish(msg.ok ? null : new TransferError('Integrity check failed on the other device'));
+            } else if (msg.type === 'error') {
+                finished = true; // The other side already gave up; don't echo an error back
+                clearTimeout(idleTimer);
+                timers.forEach((t) => clearTimeout(t));
+                reject(new TransferError(msg.reason || 'The other device aborted the transfer'));
+            }
+        });
+        channel.onClose(() => finish(new TransferError('Connection closed')));
+        resetIdle();
+    });
+}
+
+// Turns a receiver away: its hello is answered with an error, then the channel is closed
+export function refusePayload(channel, reason) {
+    let refused = false;
+    channel.onMessage((msg) => {
+        if (refused || !msg || msg.type !== 'hello') return;
+        refused = true;
+        channel.send({ type: 'error', reason });
+        setTimeout(() => channel.close(), ACK_TIMEOUT); // Unless the receiver hangs up first
+    });
+}
+
+/* --- RECEIVER --- */
+
+// onOffer(offer) runs once the sender's offer is accepted, before any data arrives
+export function receivePayload(channel, { onProgress = () => {}, onOffer = () => {}, timeout = IDLE_TIMEOUT } = {}) {
+    return new Promise((resolve, reject) => {
+        let offer = null, buffer = null, seen = null, received = 0;
+        let finished = false, idleTimer = null, handshakeTimer = null;
+
+        const finish = (error, result) => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(idleTimer);
+            clearInterval(handshakeTimer);
+            if (error) { try { channel.send({ type: 'error', reason: error.message }); } catch (e) {} reject(error); }
+            else resolve(result);
+        };
+        const resetIdle = (ms = IDLE_TIMEOUT) => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => finish(new TransferError('Sender stopped responding')), ms);
+        };
+        const verify = async () => {
+            const ok = (await sha256Hex(buffer)) === offer.hash;
+            channel.send({ type: 'done', ok });
+            finish(ok ? null : new TransferError('Received data failed the integrity check'), buffer);
+        };
+
+        channel.onMessage((msg) => {
+            if (finished || !msg || typeof msg !== 'object') return;
+            resetIdle();
+            if (msg.type === 'offer') {
+                if (offer) return;
+                if (msg.version !== PROTOCOL_VERSION) return finish(new TransferError('The other device runs a different SharePaste version'));
+                const valid = Number.isInteger(msg.size) && msg.size >= 0 && msg.size <= MAX_PAYLOAD &&
+                    Number.isInteger(msg.chunkSize) && msg.chunkSize > 0 &&
+                    msg.chunks === Math.max(1, Math.ceil(msg.size / msg.chunkSize)) && typeof msg.hash === 'string';
+                if (!valid) return finish(new TransferError('Invalid transfer offer'));
+                offer = msg;
+                onOffer(offer);
+                buffer = new Uint8Array(msg.size);
+                seen = new Uint8Array(msg.chunks);
+                repeat({ type: 'ready' });
+            } else if (msg.type === 'chunk') {
+                if (!offer || !Number.isInteger(msg.index) || msg.index < 0 || msg.index >= offer.chunks) return;
+                const data = toBytes(msg.data);
+                const start = msg.index * offer.chunkSize;
+                if (!data || data.length !== Math.min(offer.chunkSize, offer.size - start)) return; // Let the sender resend it
+                clearInterval(handshakeTimer);
+                const fresh = !seen[msg.index];
+                if (fresh) {
+                    buffer.set(data, start);
+                    seen[msg.index] = 1;
+                    received++;
+                    onProgress(received / offer.chunks);
+                }
+                channel.send({ type: 'ack', index: msg.index });
+                if (fresh && received === offer.chunks) verify();
+            } else if (msg.type === 'error') {
+                finished = true;
+                clearTimeout(idleTimer);
+                clearInterval(handshakeTimer);
+                reject(new TransferError(msg.reason || 'The other device aborted the transfer'));
+            }
+        });
+        channel.onClose(() => finish(new TransferError('Connection closed')));
+
+        // Handshake messages are repeated until the sender answers, so losing one doesn't stall the
+        // transfer; the sender may also attach its handler a moment after the channel opens
+        function repeat(message) {
+            clearInterval(handshakeTimer);
+            channel.send(message);
+            handshakeTimer = setInterval(() => channel.send(message), ACK_TIMEOUT / 4);
+        }
+        repeat({ type: 'hello', version: PROTOCOL_VERSION });
+        resetIdle(timeout);
+    });
+}